@@ -2,6 +2,8 @@ import React from 'react';
 import { StatusBar } from 'expo-status-bar';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import AppNavigator from './src/navigation/AppNavigator';
+// Registers the background location task at startup
+import './src/services/BackgroundLocationTask';
 
 export default function App() {
   return (
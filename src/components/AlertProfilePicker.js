@@ -0,0 +1,58 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, Text, TouchableOpacity, ScrollView } from 'react-native';
+import dataRepository from '../services/DataRepository';
+
+// Picks the alert profile for an alarm. null means the default profile.
+const AlertProfilePicker = ({ value, onChange }) => {
+  const [profiles, setProfiles] = useState([]);
+
+  useEffect(() => {
+    dataRepository.getAlertProfiles()
+      .then(setProfiles)
+      .catch(error => console.error('Failed to load alert profiles:', error));
+  }, []);
+
+  const options = [{ id: null, name: 'Default' }, ...profiles];
+
+  return (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.container}>
+      {options.map(profile => (
+        <TouchableOpacity
+          key={String(profile.id)}
+          style={[styles.option, value === profile.id && styles.optionActive]}
+          onPress={() => onChange(profile.id)}
+        >
+          <Text style={[styles.optionText, value === profile.id && styles.optionTextActive]}>
+            {profile.name}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 15,
+  },
+  option: {
+    backgroundColor: '#f0f0f0',
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 20,
+    marginRight: 6,
+  },
+  optionActive: {
+    backgroundColor: '#1E3A8A',
+  },
+  optionText: {
+    color: '#333',
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  optionTextActive: {
+    color: 'white',
+  },
+});
+
+export default AlertProfilePicker;
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { StyleSheet, View, Text, TextInput, TouchableOpacity, ActivityIndicator, Keyboard } from 'react-native';
+import * as Location from 'expo-location';
+import { parseLocationInput, getPlusCodeLocality } from '../utils/coordinates';
+
+// Manual entry of coordinates, Plus Codes and map links. onSelect gets
+// { latitude, longitude, name } like a PlaceSearch result.
+const CoordinateEntry = ({ near, onSelect }) => {
+  const [text, setText] = useState('');
+  const [error, setError] = useState(null);
+  const [resolving, setResolving] = useState(false);
+
+  const handleChangeText = (value) => {
+    setText(value);
+    setError(null);
+  };
+
+  // Short Plus Codes are relative to the town after them, or to where you are
+  const getReference = async () => {
+    const locality = getPlusCodeLocality(text);
+    if (!locality) return near;
+
+    const [result] = await Location.geocodeAsync(locality).catch(() => []);
+    if (!result) {
+      throw new Error(`Couldn't find ${locality}. Enter the full Plus Code instead.`);
+    }
+    return result;
+  };
+
+  const submit = async () => {
+    setResolving(true);
+
+    try {
+      const reference = await getReference();
+      const { latitude, longitude, label } = parseLocationInput(text, { reference });
+
+      Keyboard.dismiss();
+      setText('');
+      setError(null);
+      onSelect({ latitude, longitude, name: label || '' });
+    } catch (parseError) {
+      setError(parseError.message);
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.entryBar}>
+        <TextInput
+          style={styles.input}
+          placeholder="Coordinates, Plus Code or map link"
+          value={text}
+          onChangeText={handleChangeText}
+          onSubmitEditing={submit}
+          returnKeyType="go"
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        {resolving ? (
+          <ActivityIndicator color="#1E3A8A" />
+        ) : (
+          <TouchableOpacity onPress={submit} disabled={!text.trim()}>
+            <Text style={[styles.goText, !text.trim() && styles.goTextDisabled]}>Go</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {error && (
+        <View style={styles.errorBox}>
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 8,
+  },
+  entryBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    elevation: 3,
+  },
+  input: {
+    flex: 1,
+    paddingVertical: 10,
+    fontSize: 16,
+  },
+  goText: {
+    color: '#1E3A8A',
+    fontSize: 16,
+    fontWeight: 'bold',
+    paddingLeft: 8,
+  },
+  goTextDisabled: {
+    color: '#999',
+  },
+  errorBox: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    marginTop: 4,
+    padding: 12,
+    elevation: 3,
+  },
+  errorText: {
+    color: '#ef4444',
+    fontSize: 14,
+  },
+});
+
+export default CoordinateEntry;
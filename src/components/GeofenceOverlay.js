@@ -0,0 +1,39 @@
+import React from 'react';
+import { Circle, Polygon } from 'react-native-maps';
+import { isPolygonGeofence } from '../utils/geo';
+
+const ACTIVE_COLORS = {
+  fillColor: 'rgba(16, 185, 129, 0.2)',
+  strokeColor: 'rgba(16, 185, 129, 0.5)',
+};
+
+const MUTED_COLORS = {
+  fillColor: 'rgba(102, 102, 102, 0.2)',
+  strokeColor: 'rgba(102, 102, 102, 0.5)',
+};
+
+// Draws a destination's geofence on a MapView, as a circle or a polygon
+const GeofenceOverlay = ({ fence, muted = false }) => {
+  const colors = muted ? MUTED_COLORS : ACTIVE_COLORS;
+
+  if (isPolygonGeofence(fence)) {
+    return (
+      <Polygon
+        coordinates={fence.polygon}
+        {...colors}
+        strokeWidth={2}
+      />
+    );
+  }
+
+  return (
+    <Circle
+      center={{ latitude: fence.latitude, longitude: fence.longitude }}
+      radius={fence.radius}
+      {...colors}
+      strokeWidth={2}
+    />
+  );
+};
+
+export default GeofenceOverlay;
@@ -0,0 +1,231 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, View, Text, TextInput, TouchableOpacity, ActivityIndicator, Keyboard } from 'react-native';
+import * as Location from 'expo-location';
+import dataRepository from '../services/DataRepository';
+import geocodeService from '../services/GeocodeService';
+import { calculateDistance } from '../utils/geo';
+import { formatDistance } from '../utils/format';
+import { formatAddress, matchSavedLocations } from '../utils/placeSearch';
+
+// Most geocoding candidates listed
+const MAX_PLACE_RESULTS = 5;
+
+// Search bar for the map. Saved locations are matched as you type, places are
+// looked up when the search is submitted. onSelect gets
+// { latitude, longitude, name, address, location } where location is the
+// saved location picked, if any.
+const PlaceSearch = ({ near, onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [savedLocations, setSavedLocations] = useState([]);
+  const [places, setPlaces] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [noResults, setNoResults] = useState(false);
+
+  useEffect(() => {
+    dataRepository.getSavedLocations()
+      .then(setSavedLocations)
+      .catch(error => console.error('Failed to load saved locations:', error));
+  }, []);
+
+  const savedMatches = matchSavedLocations(savedLocations, query, near);
+
+  const handleChangeText = (text) => {
+    setQuery(text);
+    setPlaces([]);
+    setNoResults(false);
+  };
+
+  // Forward geocode the query and name each candidate with a reverse lookup
+  const searchPlaces = async () => {
+    if (!query.trim()) return;
+
+    setSearching(true);
+    setNoResults(false);
+
+    try {
+      const results = await Location.geocodeAsync(query);
+
+      const candidates = await Promise.all(results.slice(0, MAX_PLACE_RESULTS).map(async (result) => {
+        const coordinate = { latitude: result.latitude, longitude: result.longitude };
+        const address = await geocodeService.reverseGeocode(coordinate);
+
+        return {
+          ...coordinate,
+          name: address?.name || address?.street || query.trim(),
+          address: formatAddress(address),
+        };
+      }));
+
+      setPlaces(candidates);
+      setNoResults(candidates.length === 0 && savedMatches.length === 0);
+    } catch (error) {
+      console.error('Error searching for places:', error);
+      setPlaces([]);
+      setNoResults(savedMatches.length === 0);
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const select = (place) => {
+    Keyboard.dismiss();
+    setQuery('');
+    setPlaces([]);
+    setNoResults(false);
+    onSelect(place);
+  };
+
+  const clear = () => handleChangeText('');
+
+  const describeDistance = (point) => {
+    if (!near) return null;
+    return formatDistance(calculateDistance(near.latitude, near.longitude, point.latitude, point.longitude));
+  };
+
+  const renderResult = ({ key, title, subtitle, point, saved, place }) => (
+    <TouchableOpacity key={key} style={styles.result} onPress={() => select(place)}>
+      <View style={styles.resultText}>
+        <Text style={styles.resultTitle} numberOfLines={1}>
+          {saved && <Text style={styles.savedTag}>★ </Text>}
+          {title}
+        </Text>
+        {!!subtitle && <Text style={styles.resultSubtitle} numberOfLines={1}>{subtitle}</Text>}
+      </View>
+      {near && <Text style={styles.resultDistance}>{describeDistance(point)}</Text>}
+    </TouchableOpacity>
+  );
+
+  const showResults = savedMatches.length > 0 || places.length > 0 || noResults;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.searchBar}>
+        <TextInput
+          style={styles.input}
+          placeholder="Search places and saved locations"
+          value={query}
+          onChangeText={handleChangeText}
+          onSubmitEditing={searchPlaces}
+          returnKeyType="search"
+          autoCorrect={false}
+        />
+        {searching ? (
+          <ActivityIndicator color="#1E3A8A" />
+        ) : query.length > 0 && (
+          <TouchableOpacity onPress={clear}>
+            <Text style={styles.clearText}>✕</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {showResults && (
+        <View style={styles.results}>
+          {savedMatches.map(location => renderResult({
+            key: `saved-${location.id}`,
+            title: location.name,
+            subtitle: location.address,
+            point: location,
+            saved: true,
+            place: {
+              latitude: location.latitude,
+              longitude: location.longitude,
+              name: location.name,
+              address: location.address,
+              location,
+            },
+          }))}
+
+          {places.map((place, index) => renderResult({
+            key: `place-${index}`,
+            title: place.name,
+            subtitle: place.address,
+            point: place,
+            saved: false,
+            place: { ...place, location: null },
+          }))}
+
+          {savedMatches.length > 0 && places.length === 0 && !searching && !noResults && (
+            <TouchableOpacity style={styles.result} onPress={searchPlaces}>
+              <Text style={styles.searchMoreText}>Search places for &quot;{query.trim()}&quot;</Text>
+            </TouchableOpacity>
+          )}
+
+          {noResults && (
+            <Text style={styles.noResultsText}>No places found</Text>
+          )}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 8,
+  },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    elevation: 3,
+  },
+  input: {
+    flex: 1,
+    paddingVertical: 10,
+    fontSize: 16,
+  },
+  clearText: {
+    fontSize: 16,
+    color: '#999',
+    paddingLeft: 8,
+  },
+  results: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    marginTop: 4,
+    elevation: 3,
+  },
+  result: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  resultText: {
+    flex: 1,
+  },
+  resultTitle: {
+    fontSize: 15,
+    color: '#333',
+    fontWeight: '500',
+  },
+  resultSubtitle: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  resultDistance: {
+    fontSize: 13,
+    color: '#999',
+    marginLeft: 8,
+  },
+  savedTag: {
+    color: '#F59E0B',
+  },
+  searchMoreText: {
+    color: '#1E3A8A',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  noResultsText: {
+    fontSize: 14,
+    color: '#999',
+    padding: 12,
+  },
+});
+
+export default PlaceSearch;
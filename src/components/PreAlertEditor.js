@@ -0,0 +1,137 @@
+import React from 'react';
+import { StyleSheet, View, Text, TouchableOpacity } from 'react-native';
+
+// Distances (meters) a pre-alert stage can be set to
+const DISTANCE_OPTIONS = [500, 1000, 2000, 3000, 5000];
+
+const TYPE_LABELS = {
+  haptic: 'Nudge',
+  notification: 'Notify',
+};
+
+// Suggested stages, used in order as stages are added
+const PRESETS = [
+  { type: 'haptic', distance: 3000 },
+  { type: 'notification', distance: 1000 },
+];
+
+const formatStageDistance = (distance) => {
+  return distance < 1000 ? `${distance}m` : `${distance / 1000}km`;
+};
+
+// Edits the list of pre-alert stages for an alarm
+const PreAlertEditor = ({ stages, onChange }) => {
+  const updateStage = (id, changes) => {
+    onChange(stages.map(stage => (stage.id === id ? { ...stage, ...changes } : stage)));
+  };
+
+  const removeStage = (id) => {
+    onChange(stages.filter(stage => stage.id !== id));
+  };
+
+  const addStage = () => {
+    const preset = PRESETS[stages.length] || PRESETS[PRESETS.length - 1];
+    onChange([...stages, { id: Date.now().toString(), ...preset }]);
+  };
+
+  return (
+    <View style={styles.container}>
+      {stages.map(stage => (
+        <View key={stage.id} style={styles.stage}>
+          <TouchableOpacity
+            style={styles.typeButton}
+            onPress={() => updateStage(stage.id, {
+              type: stage.type === 'haptic' ? 'notification' : 'haptic',
+            })}
+          >
+            <Text style={styles.typeButtonText}>{TYPE_LABELS[stage.type]}</Text>
+          </TouchableOpacity>
+
+          <View style={styles.distanceOptions}>
+            {DISTANCE_OPTIONS.map(distance => (
+              <TouchableOpacity
+                key={distance}
+                style={[styles.distanceOption, stage.distance === distance && styles.distanceOptionActive]}
+                onPress={() => updateStage(stage.id, { distance })}
+              >
+                <Text style={[styles.distanceText, stage.distance === distance && styles.distanceTextActive]}>
+                  {formatStageDistance(distance)}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TouchableOpacity onPress={() => removeStage(stage.id)}>
+            <Text style={styles.removeText}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      <TouchableOpacity style={styles.addButton} onPress={addStage}>
+        <Text style={styles.addButtonText}>+ Add pre-alert</Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 15,
+  },
+  stage: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  typeButton: {
+    backgroundColor: '#F59E0B', // Warm Orange
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 4,
+    width: 60,
+    alignItems: 'center',
+  },
+  typeButtonText: {
+    color: 'white',
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  distanceOptions: {
+    flex: 1,
+    flexDirection: 'row',
+    marginHorizontal: 6,
+  },
+  distanceOption: {
+    flex: 1,
+    backgroundColor: '#f0f0f0',
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginHorizontal: 2,
+    alignItems: 'center',
+  },
+  distanceOptionActive: {
+    backgroundColor: '#1E3A8A',
+  },
+  distanceText: {
+    fontSize: 12,
+    color: '#333',
+  },
+  distanceTextActive: {
+    color: 'white',
+  },
+  removeText: {
+    fontSize: 16,
+    color: '#ef4444',
+    paddingHorizontal: 4,
+  },
+  addButton: {
+    paddingVertical: 4,
+  },
+  addButtonText: {
+    color: '#1E3A8A',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+});
+
+export default PreAlertEditor;
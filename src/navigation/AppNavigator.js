@@ -1,18 +1,50 @@
-import React from 'react';
+import React, { useEffect } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
+import { navigationRef, navigate, takePendingNavigation } from './RootNavigation';
+import { subscribeToAlarmLinks } from './DeepLinks';
+import locationService from '../services/LocationService';
+import alertService from '../services/AlertService';
 
 // Import screens
 import HomeScreen from '../screens/HomeScreen';
 import MapScreen from '../screens/MapScreen';
 import AlarmScreen from '../screens/AlarmScreen';
 import SettingsScreen from '../screens/SettingsScreen';
+import ActiveAlarmsScreen from '../screens/ActiveAlarmsScreen';
+import AlertProfileScreen from '../screens/AlertProfileScreen';
+import ImportLocationsScreen from '../screens/ImportLocationsScreen';
+import HistoryScreen from '../screens/HistoryScreen';
 
 const Stack = createStackNavigator();
 
 const AppNavigator = () => {
+  // Show the arrival alert for any alarm, whichever screen is open
+  useEffect(() => {
+    alertService.start();
+    return () => alertService.stop();
+  }, []);
+
+  // Open shared alarm links
+  useEffect(() => subscribeToAlarmLinks(), []);
+
+  // Resume any alarms that were still armed when the app was closed
+  const handleReady = async () => {
+    const alarms = await locationService.restoreAlarms();
+    
+    // Opening the app from a notification or link goes where it points
+    const pending = takePendingNavigation();
+    if (pending) {
+      navigate(pending.name, pending.params);
+    } else if (alarms.length === 1) {
+      navigate('Alarm', { destination: alarms[0] });
+    } else if (alarms.length > 1) {
+      navigate('ActiveAlarms');
+    }
+  };
+
   return (
-    <NavigationContainer>
+    <NavigationContainer ref={navigationRef} onReady={handleReady}>
       <Stack.Navigator 
         initialRouteName="Home"
         screenOptions={{
@@ -40,11 +72,31 @@ const AppNavigator = () => {
           component={AlarmScreen} 
           options={{ title: 'Active Alarm' }} 
         />
+        <Stack.Screen 
+          name="ActiveAlarms" 
+          component={ActiveAlarmsScreen} 
+          options={{ title: 'Active Alarms' }} 
+        />
         <Stack.Screen 
           name="Settings" 
           component={SettingsScreen} 
           options={{ title: 'Settings' }} 
         />
+        <Stack.Screen 
+          name="AlertProfile" 
+          component={AlertProfileScreen} 
+          options={{ title: 'Alert Profile' }} 
+        />
+        <Stack.Screen 
+          name="ImportLocations" 
+          component={ImportLocationsScreen} 
+          options={{ title: 'Import Locations' }} 
+        />
+        <Stack.Screen 
+          name="History" 
+          component={HistoryScreen} 
+          options={{ title: 'Trip History' }} 
+        />
       </Stack.Navigator>
     </NavigationContainer>
   );
@@ -0,0 +1,44 @@
+import { Alert, Share } from 'react-native';
+import * as Linking from 'expo-linking';
+import { navigate } from './RootNavigation';
+import { ALARM_LINK_PATH, getAlarmLinkParams, parseAlarmLinkParams } from '../utils/alarmLinks';
+
+// Link that opens GeoWake on a location, see utils/alarmLinks
+export const createAlarmLink = (location, options) => {
+  return Linking.createURL(ALARM_LINK_PATH, { queryParams: getAlarmLinkParams(location, options) });
+};
+
+// Send a location to someone through the share sheet
+export const shareLocation = (location) => {
+  const url = createAlarmLink(location);
+  return Share.share({ message: `${location.name} on GeoWake: ${url}`, url });
+};
+
+const handleUrl = (url) => {
+  if (!url) return;
+
+  try {
+    const { hostname, path, queryParams } = Linking.parse(url);
+    if ((path || hostname || '').replace(/\/$/, '') !== ALARM_LINK_PATH) return;
+
+    const { screen, destination } = parseAlarmLinkParams(queryParams);
+    if (screen === 'Alarm') {
+      navigate('Alarm', { destination: { id: 'temp-' + Date.now().toString(), ...destination } });
+    } else {
+      navigate('Map', { sharedLocation: destination });
+    }
+  } catch (error) {
+    console.warn('Ignoring invalid link:', url, error);
+    Alert.alert('Invalid Link', error.message);
+  }
+};
+
+// Open alarm links the app was launched with, or receives while running
+export const subscribeToAlarmLinks = () => {
+  Linking.getInitialURL()
+    .then(handleUrl)
+    .catch(error => console.error('Failed to read the launch link:', error));
+
+  const subscription = Linking.addEventListener('url', ({ url }) => handleUrl(url));
+  return () => subscription.remove();
+};
@@ -0,0 +1,23 @@
+import { createNavigationContainerRef } from '@react-navigation/native';
+
+// Lets code outside of screens (services, app launch) navigate
+export const navigationRef = createNavigationContainerRef();
+
+// Navigation requested before the container was ready, e.g. from a
+// notification that launched the app
+let pendingNavigation = null;
+
+export const navigate = (name, params) => {
+  if (navigationRef.isReady()) {
+    navigationRef.navigate(name, params);
+  } else {
+    pendingNavigation = { name, params };
+  }
+};
+
+// Returns the navigation requested before the container was ready, once
+export const takePendingNavigation = () => {
+  const pending = pendingNavigation;
+  pendingNavigation = null;
+  return pending;
+};
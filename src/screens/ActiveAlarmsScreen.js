@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { StyleSheet, View, Text, TouchableOpacity, FlatList, Alert } from 'react-native';
+import MapView, { Marker } from 'react-native-maps';
+import locationService, { LocationEvents } from '../services/LocationService';
+import alertService from '../services/AlertService';
+import { formatDistance, formatTrigger } from '../utils/format';
+import { measureGeofence, isPolygonGeofence } from '../utils/geo';
+import GeofenceOverlay from '../components/GeofenceOverlay';
+
+// Distances in km from the last known position to every armed alarm
+const getInitialDistances = () => {
+  const { lastLocation } = locationService;
+  if (!lastLocation) return {};
+
+  return locationService.activeAlarms.reduce((distances, alarm) => {
+    distances[alarm.id] = measureGeofence(lastLocation, alarm).distance;
+    return distances;
+  }, {});
+};
+
+const ActiveAlarmsScreen = ({ navigation }) => {
+  const [alarms, setAlarms] = useState(() => [...locationService.activeAlarms]);
+  const [distances, setDistances] = useState(getInitialDistances);
+  const [currentLocation, setCurrentLocation] = useState(locationService.lastLocation);
+  const mapRef = useRef(null);
+
+  useEffect(() => {
+    const unsubscribers = [
+      locationService.subscribe(LocationEvents.ALARMS_CHANGED, setAlarms),
+      locationService.subscribe(LocationEvents.POSITION, setCurrentLocation),
+      locationService.subscribe(LocationEvents.DISTANCE, ({ alarmId, distance }) => {
+        setDistances(prev => ({ ...prev, [alarmId]: distance }));
+      }),
+    ];
+
+    return () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    };
+  }, []);
+
+  // Keep every geofence in view
+  const fitToAlarms = () => {
+    if (alarms.length === 0) return;
+
+    const coordinates = alarms.flatMap(alarm => (
+      isPolygonGeofence(alarm)
+        ? alarm.polygon
+        : [{ latitude: alarm.latitude, longitude: alarm.longitude }]
+    ));
+    if (currentLocation) {
+      coordinates.push(currentLocation);
+    }
+
+    mapRef.current?.fitToCoordinates(coordinates, {
+      edgePadding: { top: 60, right: 60, bottom: 60, left: 60 },
+      animated: true,
+    });
+  };
+
+  const handleTogglePause = (alarm) => {
+    if (alarm.paused) {
+      locationService.resumeAlarm(alarm.id);
+    } else {
+      locationService.pauseAlarm(alarm.id);
+    }
+  };
+
+  const handleCancelAlarm = (alarm) => {
+    Alert.alert(
+      'Cancel Alarm',
+      `Are you sure you want to cancel the alarm for ${alarm.name}?`,
+      [
+        { text: 'No', style: 'cancel' },
+        {
+          text: 'Yes',
+          style: 'destructive',
+          onPress: () => alertService.dismissAlarm(alarm.id),
+        },
+      ]
+    );
+  };
+
+  const getStatusLabel = (alarm) => {
+    if (alarm.triggered) return 'Triggered';
+    if (alarm.paused) return 'Paused';
+    if (alarm.snooze) return 'Snoozed';
+    return 'Active';
+  };
+
+  const renderAlarm = ({ item }) => (
+    <TouchableOpacity
+      style={styles.alarmItem}
+      onPress={() => navigation.navigate('Alarm', { destination: item })}
+    >
+      <View style={styles.alarmInfo}>
+        <Text style={styles.alarmName}>{item.name}</Text>
+        <Text style={styles.alarmDetails}>
+          {getStatusLabel(item)} · {formatTrigger(item)} · {isPolygonGeofence(item) ? 'polygon area' : `${item.radius} m radius`}
+          {distances[item.id] !== undefined ? ` · ${formatDistance(distances[item.id])} away` : ''}
+        </Text>
+      </View>
+
+      <View style={styles.alarmActions}>
+        {item.triggered ? (
+          <TouchableOpacity
+            style={styles.rearmButton}
+            onPress={() => alertService.rearmAlarm(item.id)}
+          >
+            <Text style={styles.actionButtonText}>Re-arm</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity
+            style={styles.pauseButton}
+            onPress={() => handleTogglePause(item)}
+          >
+            <Text style={styles.actionButtonText}>{item.paused ? 'Resume' : 'Pause'}</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          style={styles.cancelButton}
+          onPress={() => handleCancelAlarm(item)}
+        >
+          <Text style={styles.actionButtonText}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <MapView
+        ref={mapRef}
+        style={styles.map}
+        onMapReady={fitToAlarms}
+      >
+        {alarms.map(alarm => (
+          <React.Fragment key={alarm.id}>
+            <Marker
+              coordinate={{ latitude: alarm.latitude, longitude: alarm.longitude }}
+              title={alarm.name}
+              pinColor={alarm.paused ? 'gray' : 'red'}
+            />
+            <GeofenceOverlay fence={alarm} muted={alarm.paused} />
+          </React.Fragment>
+        ))}
+
+        {/* Current location marker */}
+        {currentLocation && (
+          <Marker
+            coordinate={currentLocation}
+            title="Your Location"
+            pinColor="blue"
+          />
+        )}
+      </MapView>
+
+      <View style={styles.listPanel}>
+        {alarms.length > 0 ? (
+          <FlatList
+            data={alarms}
+            renderItem={renderAlarm}
+            keyExtractor={(item) => item.id}
+          />
+        ) : (
+          <Text style={styles.noAlarmsText}>No active alarms</Text>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  map: {
+    flex: 1,
+  },
+  listPanel: {
+    flex: 1,
+    backgroundColor: '#f5f5f7',
+    padding: 15,
+  },
+  alarmItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    padding: 15,
+    borderRadius: 8,
+    marginBottom: 10,
+    elevation: 1,
+  },
+  alarmInfo: {
+    flex: 1,
+  },
+  alarmName: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1E3A8A',
+    marginBottom: 5,
+  },
+  alarmDetails: {
+    fontSize: 14,
+    color: '#666',
+  },
+  alarmActions: {
+    flexDirection: 'row',
+  },
+  pauseButton: {
+    backgroundColor: '#F59E0B', // Warm Orange
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 4,
+    marginLeft: 8,
+  },
+  rearmButton: {
+    backgroundColor: '#10B981', // Green
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 4,
+    marginLeft: 8,
+  },
+  cancelButton: {
+    backgroundColor: '#ef4444', // Red
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 4,
+    marginLeft: 8,
+  },
+  actionButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  noAlarmsText: {
+    fontSize: 16,
+    color: '#999',
+    fontStyle: 'italic',
+    textAlign: 'center',
+    marginTop: 20,
+  },
+});
+
+export default ActiveAlarmsScreen;
@@ -1,148 +1,102 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { StyleSheet, View, Text, TouchableOpacity, Alert, Vibration } from 'react-native';
-import MapView, { Marker, Circle } from 'react-native-maps';
+import { StyleSheet, View, Text, TouchableOpacity, Alert } from 'react-native';
+import MapView, { Marker } from 'react-native-maps';
 import * as Location from 'expo-location';
+import locationService, { LocationEvents } from '../services/LocationService';
+import notificationService from '../services/NotificationService';
+import { validateLocation } from '../services/DataRepository';
+import alertService from '../services/AlertService';
+import { formatDistance, formatEta, formatTrigger } from '../utils/format';
+import { isPolygonGeofence } from '../utils/geo';
+import GeofenceOverlay from '../components/GeofenceOverlay';
 
-const AlarmScreen = ({ route, navigation }) => {
-  const { destination } = route.params;
+// Status shown once the alarm has gone off, by trigger type
+const TRIGGERED_LABELS = {
+  enter: 'ARRIVED!',
+  exit: 'LEFT AREA!',
+  dwell: 'TIME\'S UP!',
+};
+
+const ActiveAlarm = ({ destination, navigation }) => {
   const [currentLocation, setCurrentLocation] = useState(null);
   const [distance, setDistance] = useState(null);
+  const [eta, setEta] = useState(null);
+  // The alarm may already be armed, e.g. restored after the app was killed
   const [alarmActive, setAlarmActive] = useState(true);
-  const [alarmTriggered, setAlarmTriggered] = useState(false);
-  const [backgroundTask, setBackgroundTask] = useState(null);
+  const [alarmPaused, setAlarmPaused] = useState(
+    () => Boolean(locationService.getAlarm(destination.id)?.paused)
+  );
+  const [alarmTriggered, setAlarmTriggered] = useState(
+    () => Boolean(locationService.getAlarm(destination.id)?.triggered)
+  );
+  const [alarmSnoozed, setAlarmSnoozed] = useState(
+    () => Boolean(locationService.getAlarm(destination.id)?.snooze)
+  );
+  const [preAlerts, setPreAlerts] = useState(
+    () => locationService.getAlarm(destination.id)?.preAlerts || destination.preAlerts || []
+  );
   const mapRef = useRef(null);
   
-  // Start location tracking when component mounts
+  // Arm the alarm and listen to the location service when component mounts
   useEffect(() => {
-    let locationSubscription;
-    
-    const startLocationTracking = async () => {
-      const { status } = await Location.requestForegroundPermissionsAsync();
-      
-      if (status !== 'granted') {
-        Alert.alert(
-          'Permission Denied',
-          'Location permission is required for the alarm to work.',
-          [{ text: 'OK', onPress: () => navigation.goBack() }]
-        );
-        return;
-      }
-      
-      // Request background location permission
-      const { status: backgroundStatus } = await Location.requestBackgroundPermissionsAsync();
-      
-      if (backgroundStatus !== 'granted') {
-        Alert.alert(
-          'Background Permission Denied',
-          'GeoWake works best with background location permissions. The alarm may not work when the app is in the background.',
-          [{ text: 'Continue Anyway' }]
-        );
-      }
-      
-      // Start watching position
-      locationSubscription = await Location.watchPositionAsync(
-        {
-          accuracy: Location.Accuracy.Balanced,
-          distanceInterval: 10, // Update every 10 meters
-          timeInterval: 5000,   // Or every 5 seconds
-        },
-        (location) => {
-          const { latitude, longitude } = location.coords;
-          const newCurrentLocation = { latitude, longitude };
-          setCurrentLocation(newCurrentLocation);
-          
-          // Calculate distance to destination
-          const calculatedDistance = calculateDistance(
-            latitude,
-            longitude,
-            destination.latitude,
-            destination.longitude
-          );
-          
-          setDistance(calculatedDistance);
-          
-          // Check if we've reached the destination
-          if (calculatedDistance <= destination.radius / 1000) { // Convert radius to km
-            if (alarmActive && !alarmTriggered) {
-              triggerAlarm();
-            }
-          }
+    const unsubscribers = [
+      locationService.subscribe(LocationEvents.POSITION, setCurrentLocation),
+      locationService.subscribe(LocationEvents.DISTANCE, ({ alarmId, distance: alarmDistance, eta: alarmEta }) => {
+        if (alarmId === destination.id) {
+          setDistance(alarmDistance);
+          setEta(alarmEta);
         }
-      );
-    };
-    
-    startLocationTracking();
+      }),
+      locationService.subscribe(LocationEvents.ALARMS_CHANGED, (alarms) => {
+        const alarm = alarms.find(item => item.id === destination.id);
+        setAlarmActive(Boolean(alarm));
+        setAlarmPaused(Boolean(alarm?.paused));
+        setAlarmTriggered(Boolean(alarm?.triggered));
+        setAlarmSnoozed(Boolean(alarm?.snooze));
+        if (alarm) {
+          setPreAlerts([...(alarm.preAlerts || [])]);
+        }
+      }),
+      locationService.subscribe(LocationEvents.TRACKING_ERROR, () => {
+        Alert.alert('Tracking Error', 'GeoWake could not track your location. The alarm may not go off.');
+      }),
+    ];
     
-    // Register a background task for location tracking
-    registerBackgroundTask();
+    startAlarm();
     
-    // Cleanup function
+    // Leaving the screen keeps the alarm armed, it's cancelled explicitly
     return () => {
-      if (locationSubscription) {
-        locationSubscription.remove();
-      }
-      
-      if (backgroundTask) {
-        Location.stopLocationUpdatesAsync(backgroundTask);
-      }
+      unsubscribers.forEach(unsubscribe => unsubscribe());
     };
   }, []);
   
-  // Register background task for location updates
-  const registerBackgroundTask = async () => {
-    try {
-      // This is a simplified version - in a real app, you would need to implement
-      // proper background tasks using expo-task-manager
-      // For demonstration purposes, we're just showing the concept
-      console.log('Background location tracking would be registered here');
-    } catch (error) {
-      console.error('Could not register background task:', error);
+  // Check permissions and hand the alarm over to the location service
+  const startAlarm = async () => {
+    const { status } = await Location.requestForegroundPermissionsAsync();
+    
+    if (status !== 'granted') {
+      Alert.alert(
+        'Permission Denied',
+        'Location permission is required for the alarm to work.',
+        [{ text: 'OK', onPress: () => navigation.goBack() }]
+      );
+      return;
     }
-  };
-  
-  // Calculate distance between two coordinates in kilometers
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    const R = 6371; // Radius of the earth in km
-    const dLat = deg2rad(lat2 - lat1);
-    const dLon = deg2rad(lon2 - lon1);
-    const a =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) *
-      Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    const distance = R * c; // Distance in km
-    return distance;
-  };
-  
-  const deg2rad = (deg) => {
-    return deg * (Math.PI / 180);
-  };
-  
-  // Trigger the alarm when destination is reached
-  const triggerAlarm = () => {
-    setAlarmTriggered(true);
     
-    // Vibrate pattern: wait 500ms, vibrate 500ms, wait 500ms, vibrate 500ms
-    const PATTERN = [500, 1000, 500, 2000];
+    // Request background location permission
+    const { status: backgroundStatus } = await Location.requestBackgroundPermissionsAsync();
     
-    // Vibrate with pattern
-    Vibration.vibrate(PATTERN, true);
+    if (backgroundStatus !== 'granted') {
+      Alert.alert(
+        'Background Permission Denied',
+        'GeoWake works best with background location permissions. The alarm may not work when the app is in the background.',
+        [{ text: 'Continue Anyway' }]
+      );
+    } else {
+      await notificationService.requestPermissions();
+    }
     
-    // Show alert
-    Alert.alert(
-      'Destination Reached!',
-      `You have arrived at ${destination.name}`,
-      [
-        {
-          text: 'Stop Alarm',
-          onPress: () => {
-            Vibration.cancel();
-            setAlarmActive(false);
-          },
-        },
-      ],
-      { cancelable: false }
-    );
+    await locationService.armAlarm({ ...destination, triggered: false });
   };
   
   // Cancel the alarm
@@ -154,11 +108,8 @@ const AlarmScreen = ({ route, navigation }) => {
         { text: 'No', style: 'cancel' },
         {
           text: 'Yes',
-          onPress: () => {
-            setAlarmActive(false);
-            if (alarmTriggered) {
-              Vibration.cancel();
-            }
+          onPress: async () => {
+            await alertService.dismissAlarm(destination.id);
             navigation.goBack();
           },
         },
@@ -166,6 +117,18 @@ const AlarmScreen = ({ route, navigation }) => {
     );
   };
   
+  const getStatus = () => {
+    if (alarmTriggered) {
+      return { label: TRIGGERED_LABELS[destination.trigger || 'enter'], style: styles.triggered };
+    }
+    if (!alarmActive) return { label: 'Inactive', style: styles.inactive };
+    if (alarmPaused) return { label: 'Paused', style: styles.inactive };
+    if (alarmSnoozed) return { label: 'Snoozed', style: styles.triggered };
+    return { label: 'Active', style: styles.active };
+  };
+  
+  const status = getStatus();
+  
   return (
     <View style={styles.container}>
       {/* Map View */}
@@ -188,16 +151,7 @@ const AlarmScreen = ({ route, navigation }) => {
           title={destination.name}
           pinColor="red"
         />
-        <Circle
-          center={{
-            latitude: destination.latitude,
-            longitude: destination.longitude,
-          }}
-          radius={destination.radius}
-          fillColor="rgba(16, 185, 129, 0.2)"
-          strokeColor="rgba(16, 185, 129, 0.5)"
-          strokeWidth={2}
-        />
+        <GeofenceOverlay fence={destination} />
         
         {/* Current location marker */}
         {currentLocation && (
@@ -221,31 +175,75 @@ const AlarmScreen = ({ route, navigation }) => {
         <View style={styles.statusInfo}>
           <View style={styles.statusItem}>
             <Text style={styles.statusLabel}>Status:</Text>
-            <Text 
-              style={[
-                styles.statusValue, 
-                alarmTriggered ? styles.triggered : alarmActive ? styles.active : styles.inactive
-              ]}
-            >
-              {alarmTriggered ? 'ARRIVED!' : alarmActive ? 'Active' : 'Inactive'}
+            <Text style={[styles.statusValue, status.style]}>
+              {status.label}
             </Text>
           </View>
           
           {distance !== null && (
             <View style={styles.statusItem}>
               <Text style={styles.statusLabel}>Distance:</Text>
+              <Text style={styles.statusValue}>{formatDistance(distance)}</Text>
+            </View>
+          )}
+          
+          {eta !== null && (
+            <View style={styles.statusItem}>
+              <Text style={styles.statusLabel}>ETA:</Text>
+              <Text style={styles.statusValue}>{formatEta(eta)}</Text>
+            </View>
+          )}
+          
+          {preAlerts.length > 0 && (
+            <View style={styles.statusItem}>
+              <Text style={styles.statusLabel}>Pre-alerts:</Text>
               <Text style={styles.statusValue}>
-                {distance < 1 ? `${Math.round(distance * 1000)} m` : `${distance.toFixed(2)} km`}
+                {[...preAlerts]
+                  .sort((a, b) => b.distance - a.distance)
+                  .map(stage => `${formatDistance(stage.distance / 1000)}${stage.fired ? ' ✓' : ''}`)
+                  .join('  ')}
               </Text>
             </View>
           )}
           
+          {destination.trigger && destination.trigger !== 'enter' ? (
+            <View style={styles.statusItem}>
+              <Text style={styles.statusLabel}>Alert Me:</Text>
+              <Text style={styles.statusValue}>{formatTrigger(destination)}</Text>
+            </View>
+          ) : null}
+          
+          {destination.etaMinutes ? (
+            <View style={styles.statusItem}>
+              <Text style={styles.statusLabel}>Wake Me:</Text>
+              <Text style={styles.statusValue}>{destination.etaMinutes} min before arrival</Text>
+            </View>
+          ) : null}
+          
           <View style={styles.statusItem}>
-            <Text style={styles.statusLabel}>Alarm Radius:</Text>
-            <Text style={styles.statusValue}>{destination.radius} m</Text>
+            {isPolygonGeofence(destination) ? (
+              <>
+                <Text style={styles.statusLabel}>Alarm Area:</Text>
+                <Text style={styles.statusValue}>Polygon ({destination.polygon.length} points)</Text>
+              </>
+            ) : (
+              <>
+                <Text style={styles.statusLabel}>Alarm Radius:</Text>
+                <Text style={styles.statusValue}>{destination.radius} m</Text>
+              </>
+            )}
           </View>
         </View>
         
+        {alarmTriggered && (
+          <TouchableOpacity 
+            style={styles.rearmButton}
+            onPress={() => alertService.rearmAlarm(destination.id)}
+          >
+            <Text style={styles.buttonText}>Re-arm Alarm</Text>
+          </TouchableOpacity>
+        )}
+        
         <TouchableOpacity 
           style={styles.cancelButton}
           onPress={handleCancelAlarm}
@@ -257,6 +255,30 @@ const AlarmScreen = ({ route, navigation }) => {
   );
 };
 
+const AlarmScreen = ({ route, navigation }) => {
+  const destination = route.params?.destination;
+
+  // A malformed link can get here without a usable destination
+  if (!destination || validateLocation(destination).length > 0) {
+    return (
+      <View style={[styles.container, styles.invalidContainer]}>
+        <Text style={styles.destinationName}>No Destination</Text>
+        <Text style={styles.invalidText}>
+          This alarm doesn&apos;t have a valid destination. Pick one on the map instead.
+        </Text>
+        <TouchableOpacity
+          style={styles.rearmButton}
+          onPress={() => navigation.navigate('Map')}
+        >
+          <Text style={styles.buttonText}>Choose Destination</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return <ActiveAlarm destination={destination} navigation={navigation} />;
+};
+
 const styles = StyleSheet.create({
   container: {
     flex: 1,
@@ -264,6 +286,15 @@ const styles = StyleSheet.create({
   map: {
     flex: 1,
   },
+  invalidContainer: {
+    justifyContent: 'center',
+    padding: 20,
+  },
+  invalidText: {
+    fontSize: 16,
+    color: '#666',
+    marginBottom: 20,
+  },
   statusPanel: {
     backgroundColor: 'white',
     padding: 20,
@@ -318,6 +349,13 @@ const styles = StyleSheet.create({
     color: '#F59E0B', // Orange
     fontWeight: 'bold',
   },
+  rearmButton: {
+    backgroundColor: '#10B981', // Green
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginBottom: 10,
+  },
   cancelButton: {
     backgroundColor: '#ef4444', // Red
     paddingVertical: 12,
@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, View, Text, TextInput, Switch, TouchableOpacity, Alert, ScrollView } from 'react-native';
+import * as Haptics from 'expo-haptics';
+import dataRepository, { VIBRATION_STYLES, HAPTIC_STRENGTHS } from '../services/DataRepository';
+import soundService, { ALARM_TONES } from '../services/SoundService';
+
+// Pause between repeats of the alert, 0 repeats it back to back
+const REPEAT_OPTIONS = [0, 2, 5, 10];
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Row of chips to pick one value from
+const OptionRow = ({ options, value, onChange }) => (
+  <View style={styles.optionRow}>
+    {options.map(option => (
+      <TouchableOpacity
+        key={String(option.value)}
+        style={[styles.option, value === option.value && styles.optionActive]}
+        onPress={() => onChange(option.value)}
+      >
+        <Text style={[styles.optionText, value === option.value && styles.optionTextActive]}>
+          {option.label}
+        </Text>
+      </TouchableOpacity>
+    ))}
+  </View>
+);
+
+const AlertProfileScreen = ({ route, navigation }) => {
+  // Profile being edited, if any
+  const editingProfile = route.params?.profile || null;
+  const [name, setName] = useState(editingProfile?.name || '');
+  const [tone, setTone] = useState(editingProfile ? editingProfile.tone : ALARM_TONES[0].id);
+  const [vibration, setVibration] = useState(editingProfile?.vibration || 'standard');
+  const [escalate, setEscalate] = useState(editingProfile ? editingProfile.escalate : true);
+  const [repeatSeconds, setRepeatSeconds] = useState(editingProfile?.repeatSeconds || 0);
+  const [haptics, setHaptics] = useState(editingProfile?.haptics || 'medium');
+  const [isDefault, setIsDefault] = useState(false);
+
+  useEffect(() => {
+    navigation.setOptions({ title: editingProfile ? 'Edit Alert Profile' : 'New Alert Profile' });
+
+    if (editingProfile) {
+      dataRepository.getSettings()
+        .then(settings => setIsDefault(settings.defaultAlertProfileId === editingProfile.id))
+        .catch(error => console.error('Failed to load settings:', error));
+    }
+
+    // Don't leave a preview playing
+    return () => soundService.stop();
+  }, []);
+
+  const selectTone = (toneId) => {
+    setTone(toneId);
+    if (toneId) {
+      soundService.preview(toneId);
+    } else {
+      soundService.stop();
+    }
+  };
+
+  const selectHaptics = (strength) => {
+    setHaptics(strength);
+    Haptics.impactAsync(strength);
+  };
+
+  const saveProfile = async () => {
+    if (!name.trim()) {
+      Alert.alert('Error', 'Please enter a name for this profile');
+      return;
+    }
+
+    try {
+      const saved = await dataRepository.saveAlertProfile({
+        id: editingProfile?.id,
+        name,
+        tone,
+        vibration,
+        escalate,
+        repeatSeconds,
+        haptics,
+      });
+
+      if (isDefault) {
+        await dataRepository.updateSettings({ defaultAlertProfileId: saved.id });
+      }
+
+      navigation.goBack();
+    } catch (error) {
+      console.error('Failed to save alert profile:', error);
+      Alert.alert('Error', 'Failed to save alert profile');
+    }
+  };
+
+  const handleDeleteProfile = () => {
+    Alert.alert(
+      'Delete Alert Profile',
+      `Are you sure you want to delete ${editingProfile.name}? Locations using it will use the default profile.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await dataRepository.deleteAlertProfile(editingProfile.id);
+              navigation.goBack();
+            } catch (error) {
+              console.error('Failed to delete alert profile:', error);
+              Alert.alert('Error', error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.section}>
+        <TextInput
+          style={styles.input}
+          placeholder="Profile Name"
+          value={name}
+          onChangeText={setName}
+        />
+
+        <Text style={styles.label}>Tone</Text>
+        <OptionRow
+          options={[
+            { value: null, label: 'None' },
+            ...ALARM_TONES.map(item => ({ value: item.id, label: item.name })),
+          ]}
+          value={tone}
+          onChange={selectTone}
+        />
+
+        {tone && (
+          <View style={styles.settingItem}>
+            <Text style={styles.settingLabel}>Get louder until stopped</Text>
+            <Switch
+              value={escalate}
+              onValueChange={setEscalate}
+              trackColor={{ false: '#767577', true: '#10B981' }}
+              thumbColor="#f4f3f4"
+            />
+          </View>
+        )}
+
+        <Text style={styles.label}>Vibration</Text>
+        <OptionRow
+          options={VIBRATION_STYLES.map(style => ({ value: style, label: capitalize(style) }))}
+          value={vibration}
+          onChange={setVibration}
+        />
+
+        <Text style={styles.label}>Pause Between Repeats</Text>
+        <OptionRow
+          options={REPEAT_OPTIONS.map(seconds => ({ value: seconds, label: seconds ? `${seconds} s` : 'None' }))}
+          value={repeatSeconds}
+          onChange={setRepeatSeconds}
+        />
+
+        <Text style={styles.label}>Pre-alert Nudge</Text>
+        <OptionRow
+          options={HAPTIC_STRENGTHS.map(strength => ({ value: strength, label: capitalize(strength) }))}
+          value={haptics}
+          onChange={selectHaptics}
+        />
+
+        <View style={styles.settingItem}>
+          <Text style={styles.settingLabel}>Use for alarms without a profile</Text>
+          <Switch
+            value={isDefault}
+            onValueChange={setIsDefault}
+            trackColor={{ false: '#767577', true: '#10B981' }}
+            thumbColor="#f4f3f4"
+          />
+        </View>
+      </View>
+
+      <TouchableOpacity style={styles.saveButton} onPress={saveProfile}>
+        <Text style={styles.buttonText}>Save Profile</Text>
+      </TouchableOpacity>
+
+      {editingProfile && (
+        <TouchableOpacity style={styles.deleteButton} onPress={handleDeleteProfile}>
+          <Text style={styles.buttonText}>Delete Profile</Text>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f7',
+  },
+  section: {
+    backgroundColor: 'white',
+    marginVertical: 10,
+    marginHorizontal: 15,
+    padding: 15,
+    borderRadius: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 5,
+    padding: 10,
+    fontSize: 16,
+    marginBottom: 5,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+    marginTop: 15,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    marginTop: 10,
+  },
+  option: {
+    flex: 1,
+    backgroundColor: '#f0f0f0',
+    paddingVertical: 8,
+    borderRadius: 16,
+    marginHorizontal: 3,
+    alignItems: 'center',
+  },
+  optionActive: {
+    backgroundColor: '#1E3A8A',
+  },
+  optionText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  optionTextActive: {
+    color: 'white',
+  },
+  settingItem: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 10,
+    marginTop: 10,
+  },
+  settingLabel: {
+    fontSize: 16,
+    color: '#333',
+  },
+  saveButton: {
+    backgroundColor: '#10B981', // Green
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginHorizontal: 15,
+    marginTop: 5,
+  },
+  deleteButton: {
+    backgroundColor: '#ef4444', // Red
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginHorizontal: 15,
+    marginTop: 10,
+    marginBottom: 20,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default AlertProfileScreen;
@@ -0,0 +1,291 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, View, Text, TouchableOpacity, FlatList, Alert } from 'react-native';
+import dataRepository from '../services/DataRepository';
+import fileService from '../services/FileService';
+import { formatDistance, formatEta, formatSpeed } from '../utils/format';
+import { getRearmDestination } from '../utils/trips';
+import { decodeTrack } from '../utils/tracks';
+import { FILE_FORMATS, exportTripGpx } from '../utils/locationFiles';
+
+const TRIGGER_LABELS = {
+  arrival: 'on arrival',
+  eta: 'before arrival',
+  exit: 'on leaving',
+  dwell: 'after dwelling',
+};
+
+const formatDateTime = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+// Past alarms, newest first. Any of them can be armed again with one tap.
+const HistoryScreen = ({ navigation }) => {
+  const [trips, setTrips] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    // Alarms finished since the last visit show up when coming back
+    const unsubscribeFocus = navigation.addListener('focus', loadTrips);
+    return unsubscribeFocus;
+  }, []);
+
+  const loadTrips = async () => {
+    try {
+      setTrips(await dataRepository.getTrips());
+    } catch (error) {
+      console.error('Failed to load trip history:', error);
+    } finally {
+      setLoaded(true);
+    }
+  };
+
+  const handleRearm = async (trip) => {
+    try {
+      const savedLocations = await dataRepository.getSavedLocations();
+      navigation.navigate('Alarm', { destination: getRearmDestination(trip, savedLocations) });
+    } catch (error) {
+      console.error('Failed to re-arm trip:', error);
+      Alert.alert('Error', 'Failed to set the alarm');
+    }
+  };
+
+  // Share the recorded path of a trip as GPX
+  const handleExportTrack = async (trip) => {
+    try {
+      const track = await dataRepository.getTrack(trip.id);
+      if (!track) {
+        throw new Error('The track of this trip is no longer stored');
+      }
+
+      const startTime = new Date(trip.startedAt).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+      await fileService.shareTextFile(
+        `geowake-trip-${startTime}.${FILE_FORMATS.gpx.extension}`,
+        exportTripGpx(trip, decodeTrack(track)),
+        FILE_FORMATS.gpx.mimeType
+      );
+    } catch (error) {
+      console.error('Failed to export track:', error);
+      Alert.alert('Export Failed', error.message);
+    }
+  };
+
+  const handleDelete = (trip) => {
+    Alert.alert(
+      'Delete Trip',
+      `Remove the trip to ${trip.destination.name} from the history?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setTrips(await dataRepository.deleteTrip(trip.id));
+            } catch (error) {
+              console.error('Failed to delete trip:', error);
+              Alert.alert('Error', 'Failed to delete trip');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleClear = () => {
+    Alert.alert(
+      'Clear History',
+      'Remove every trip from the history?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Clear',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await dataRepository.clearTrips();
+              setTrips([]);
+            } catch (error) {
+              console.error('Failed to clear trip history:', error);
+              Alert.alert('Error', 'Failed to clear history');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const describeTrip = (trip) => {
+    const details = [
+      formatEta((trip.endedAt - trip.startedAt) / 60000),
+      formatDistance(trip.distanceTravelled / 1000),
+    ];
+    if (trip.peakSpeed > 0) {
+      details.push(`top ${formatSpeed(trip.peakSpeed)}`);
+    }
+    return details.join(' · ');
+  };
+
+  const describeOutcome = (trip) => {
+    if (trip.outcome === 'cancelled') return 'Cancelled before it went off';
+
+    const minutes = (trip.triggeredAt - trip.startedAt) / 60000;
+    return `Went off ${TRIGGER_LABELS[trip.triggeredBy] || ''} after ${formatEta(minutes)}`;
+  };
+
+  const renderTrip = ({ item }) => (
+    <View style={styles.tripItem}>
+      <TouchableOpacity style={styles.tripInfo} onLongPress={() => handleDelete(item)}>
+        <Text style={styles.tripName}>
+          {item.destination.name}
+          {String(item.destination.id).startsWith('temp-') && <Text style={styles.tempTag}>  Temporary</Text>}
+        </Text>
+        <Text style={styles.tripDetail}>{formatDateTime(item.startedAt)}</Text>
+        <Text style={[styles.tripOutcome, item.outcome === 'cancelled' ? styles.cancelled : styles.dismissed]}>
+          {describeOutcome(item)}
+        </Text>
+        <Text style={styles.tripDetail}>{describeTrip(item)}</Text>
+      </TouchableOpacity>
+
+      <View style={styles.tripActions}>
+        <TouchableOpacity style={styles.rearmButton} onPress={() => handleRearm(item)}>
+          <Text style={styles.rearmText}>Re-arm</Text>
+        </TouchableOpacity>
+        {item.trackPoints > 0 && (
+          <TouchableOpacity style={styles.trackButton} onPress={() => handleExportTrack(item)}>
+            <Text style={styles.trackText}>GPX</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      {trips.length > 0 && (
+        <Text style={styles.hintText}>Long-press a trip to delete it</Text>
+      )}
+
+      <FlatList
+        data={trips}
+        renderItem={renderTrip}
+        keyExtractor={(item) => item.id}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={loaded && (
+          <Text style={styles.emptyText}>No trips yet. Alarms show up here once they&apos;re dismissed or cancelled.</Text>
+        )}
+      />
+
+      {trips.length > 0 && (
+        <TouchableOpacity style={styles.clearButton} onPress={handleClear}>
+          <Text style={styles.clearText}>Clear History</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f7',
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#999',
+    paddingHorizontal: 15,
+    paddingTop: 12,
+  },
+  list: {
+    padding: 15,
+  },
+  tripItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    padding: 15,
+    borderRadius: 8,
+    marginBottom: 10,
+    elevation: 1,
+  },
+  tripInfo: {
+    flex: 1,
+  },
+  tripName: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1E3A8A',
+    marginBottom: 4,
+  },
+  tempTag: {
+    fontSize: 13,
+    fontWeight: 'normal',
+    color: '#999',
+  },
+  tripDetail: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  tripOutcome: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginTop: 2,
+  },
+  dismissed: {
+    color: '#10B981',
+  },
+  cancelled: {
+    color: '#F59E0B',
+  },
+  tripActions: {
+    marginLeft: 10,
+  },
+  rearmButton: {
+    backgroundColor: '#10B981', // Green
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  rearmText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  trackButton: {
+    borderWidth: 1,
+    borderColor: '#1E3A8A',
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  trackText: {
+    color: '#1E3A8A',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#999',
+    fontStyle: 'italic',
+    textAlign: 'center',
+    marginTop: 20,
+  },
+  clearButton: {
+    backgroundColor: '#ef4444',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    margin: 15,
+  },
+  clearText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default HistoryScreen;
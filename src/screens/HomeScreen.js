@@ -1,11 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { StyleSheet, View, Text, TouchableOpacity, FlatList, Alert } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as Location from 'expo-location';
+import locationService, { LocationEvents } from '../services/LocationService';
+import dataRepository from '../services/DataRepository';
+import geocodeService from '../services/GeocodeService';
 
 const HomeScreen = ({ navigation }) => {
   const [savedLocations, setSavedLocations] = useState([]);
   const [locationPermission, setLocationPermission] = useState(null);
+  const [activeAlarmCount, setActiveAlarmCount] = useState(locationService.activeAlarms.length);
 
   useEffect(() => {
     // Request location permissions when component mounts
@@ -22,15 +25,27 @@ const HomeScreen = ({ navigation }) => {
       }
     })();
 
-    // Load saved locations from storage
-    loadSavedLocations();
+    // Load saved locations from storage, again whenever the screen regains focus
+    const unsubscribeFocus = navigation.addListener('focus', loadSavedLocations);
+
+    // Keep the active alarm count up to date
+    const unsubscribeAlarms = locationService.subscribe(LocationEvents.ALARMS_CHANGED, (alarms) => {
+      setActiveAlarmCount(alarms.length);
+    });
+
+    return () => {
+      unsubscribeFocus();
+      unsubscribeAlarms();
+    };
   }, []);
 
   const loadSavedLocations = async () => {
     try {
-      const savedLocationsJson = await AsyncStorage.getItem('savedLocations');
-      if (savedLocationsJson) {
-        setSavedLocations(JSON.parse(savedLocationsJson));
+      setSavedLocations(await dataRepository.getSavedLocations());
+
+      // Fill in addresses of locations saved offline, now there may be a connection
+      if (await geocodeService.resolvePendingAddresses() > 0) {
+        setSavedLocations(await dataRepository.getSavedLocations());
       }
     } catch (error) {
       console.error('Failed to load saved locations:', error);
@@ -57,6 +72,7 @@ const HomeScreen = ({ navigation }) => {
     <TouchableOpacity 
       style={styles.savedLocationItem}
       onPress={() => handleSelectSavedLocation(item)}
+      onLongPress={() => navigation.navigate('Map', { location: item })}
     >
       <Text style={styles.locationName}>{item.name}</Text>
       <Text style={styles.locationAddress}>{item.address}</Text>
@@ -77,8 +93,20 @@ const HomeScreen = ({ navigation }) => {
         <Text style={styles.buttonText}>Set New Alarm</Text>
       </TouchableOpacity>
 
+      {activeAlarmCount > 0 && (
+        <TouchableOpacity 
+          style={styles.activeAlarmsButton}
+          onPress={() => navigation.navigate('ActiveAlarms')}
+        >
+          <Text style={styles.buttonText}>Active Alarms ({activeAlarmCount})</Text>
+        </TouchableOpacity>
+      )}
+
       <View style={styles.savedLocationsContainer}>
         <Text style={styles.sectionTitle}>Saved Locations</Text>
+        {savedLocations.length > 0 && (
+          <Text style={styles.hintText}>Long-press a location to edit it</Text>
+        )}
         {savedLocations.length > 0 ? (
           <FlatList
             data={savedLocations}
@@ -91,6 +119,13 @@ const HomeScreen = ({ navigation }) => {
         )}
       </View>
 
+      <TouchableOpacity 
+        style={styles.historyButton}
+        onPress={() => navigation.navigate('History')}
+      >
+        <Text style={styles.buttonText}>Trip History</Text>
+      </TouchableOpacity>
+
       <TouchableOpacity 
         style={styles.settingsButton}
         onPress={() => navigation.navigate('Settings')}
@@ -130,6 +165,14 @@ const styles = StyleSheet.create({
     marginBottom: 25,
     elevation: 2,
   },
+  activeAlarmsButton: {
+    backgroundColor: '#1E3A8A', // Deep Blue from your color scheme
+    paddingVertical: 15,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginBottom: 25,
+    elevation: 2,
+  },
   buttonText: {
     color: 'white',
     fontSize: 18,
@@ -145,6 +188,12 @@ const styles = StyleSheet.create({
     marginBottom: 15,
     color: '#333',
   },
+  hintText: {
+    fontSize: 13,
+    color: '#999',
+    marginTop: -10,
+    marginBottom: 10,
+  },
   savedLocationsList: {
     flex: 1,
   },
@@ -172,6 +221,13 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginTop: 20,
   },
+  historyButton: {
+    backgroundColor: '#1E3A8A', // Deep Blue from your color scheme
+    paddingVertical: 12,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginBottom: 10,
+  },
   settingsButton: {
     backgroundColor: '#666',
     paddingVertical: 12,
@@ -0,0 +1,208 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, View, Text, TouchableOpacity, FlatList, Alert } from 'react-native';
+import dataRepository from '../services/DataRepository';
+import { findDuplicate } from '../utils/locationFiles';
+import { formatCoordinates } from '../utils/format';
+
+const describePlace = (place) => {
+  if (place.shape === 'polygon') return `Area with ${place.polygon.length} corners`;
+  return place.radius ? `${place.radius} m radius` : 'Default radius';
+};
+
+// Preview of the places in an imported file. Near-duplicates of saved
+// locations start unticked.
+const ImportLocationsScreen = ({ route, navigation }) => {
+  const { fileName, places, skipped, repeated = 0 } = route.params;
+  const [duplicates, setDuplicates] = useState([]);
+  const [selected, setSelected] = useState(() => places.map(() => true));
+  const [importing, setImporting] = useState(false);
+
+  useEffect(() => {
+    navigation.setOptions({ title: `Import ${fileName}` });
+
+    (async () => {
+      try {
+        const savedLocations = await dataRepository.getSavedLocations();
+        const found = places.map(place => findDuplicate(place, savedLocations));
+        setDuplicates(found);
+        setSelected(found.map(duplicate => !duplicate));
+      } catch (error) {
+        console.error('Failed to load saved locations:', error);
+      }
+    })();
+  }, []);
+
+  const selectedCount = selected.filter(Boolean).length;
+
+  const toggle = (index) => {
+    setSelected(prev => prev.map((value, i) => (i === index ? !value : value)));
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+
+    try {
+      // Places without an address get one looked up later, like locations saved offline
+      const added = await dataRepository.importLocations(
+        places
+          .filter((place, index) => selected[index])
+          .map(place => (place.address
+            ? { ...place, addressPending: false }
+            : { ...place, address: formatCoordinates(place), addressPending: true }))
+      );
+
+      Alert.alert(
+        'Import Complete',
+        `Added ${added.length} location${added.length === 1 ? '' : 's'}`,
+        [{ text: 'OK', onPress: () => navigation.goBack() }]
+      );
+    } catch (error) {
+      console.error('Failed to import locations:', error);
+      Alert.alert('Error', 'Failed to import locations');
+      setImporting(false);
+    }
+  };
+
+  const renderPlace = ({ item, index }) => (
+    <TouchableOpacity style={styles.placeItem} onPress={() => toggle(index)}>
+      <View style={[styles.checkbox, selected[index] && styles.checkboxChecked]}>
+        {selected[index] && <Text style={styles.checkmark}>✓</Text>}
+      </View>
+      <View style={styles.placeInfo}>
+        <Text style={styles.placeName}>{item.name}</Text>
+        <Text style={styles.placeDetail}>{item.address || formatCoordinates(item)}</Text>
+        <Text style={styles.placeDetail}>{describePlace(item)}</Text>
+        {duplicates[index] && (
+          <Text style={styles.duplicateText}>Looks like saved location &quot;{duplicates[index].name}&quot;</Text>
+        )}
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.summary}>
+        <Text style={styles.summaryText}>
+          {places.length} place{places.length === 1 ? '' : 's'} found
+          {duplicates.filter(Boolean).length > 0 && `, ${duplicates.filter(Boolean).length} already saved`}
+        </Text>
+        {skipped > 0 && (
+          <Text style={styles.skippedText}>
+            {skipped} entr{skipped === 1 ? 'y' : 'ies'} skipped: only points and polygons can be imported
+          </Text>
+        )}
+        {repeated > 0 && (
+          <Text style={styles.skippedText}>
+            {repeated} place{repeated === 1 ? ' appears' : 's appear'} twice in the file and {repeated === 1 ? 'was' : 'were'} left out
+          </Text>
+        )}
+      </View>
+
+      <FlatList
+        data={places}
+        renderItem={renderPlace}
+        keyExtractor={(item, index) => String(index)}
+        contentContainerStyle={styles.list}
+      />
+
+      <TouchableOpacity
+        style={[styles.importButton, (selectedCount === 0 || importing) && styles.importButtonDisabled]}
+        onPress={handleImport}
+        disabled={selectedCount === 0 || importing}
+      >
+        <Text style={styles.buttonText}>
+          Import {selectedCount} Location{selectedCount === 1 ? '' : 's'}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f7',
+  },
+  summary: {
+    padding: 15,
+    backgroundColor: 'white',
+    borderBottomWidth: 1,
+    borderBottomColor: '#f0f0f0',
+  },
+  summaryText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  skippedText: {
+    fontSize: 14,
+    color: '#666',
+    fontStyle: 'italic',
+    marginTop: 4,
+  },
+  list: {
+    padding: 15,
+  },
+  placeItem: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: 'white',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 8,
+    elevation: 1,
+  },
+  checkbox: {
+    width: 22,
+    height: 22,
+    borderRadius: 4,
+    borderWidth: 2,
+    borderColor: '#1E3A8A',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+    marginTop: 2,
+  },
+  checkboxChecked: {
+    backgroundColor: '#1E3A8A',
+  },
+  checkmark: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  placeInfo: {
+    flex: 1,
+  },
+  placeName: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#333',
+  },
+  placeDetail: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  duplicateText: {
+    fontSize: 14,
+    color: '#F59E0B',
+    marginTop: 4,
+  },
+  importButton: {
+    backgroundColor: '#10B981', // Green
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: 'center',
+    margin: 15,
+  },
+  importButtonDisabled: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default ImportLocationsScreen;
@@ -1,17 +1,84 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { StyleSheet, View, Text, TouchableOpacity, TextInput, Alert } from 'react-native';
-import MapView, { Marker, Circle } from 'react-native-maps';
+import { StyleSheet, View, Text, TouchableOpacity, TextInput, Alert, ScrollView } from 'react-native';
+import MapView, { Marker } from 'react-native-maps';
+import Slider from '@react-native-community/slider';
 import * as Location from 'expo-location';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import dataRepository from '../services/DataRepository';
+import geocodeService from '../services/GeocodeService';
+import {
+  calculateDistance,
+  destinationPoint,
+  polygonCentroid,
+  polygonGeofence,
+  MIN_RADIUS,
+  MAX_RADIUS,
+} from '../utils/geo';
+import GeofenceOverlay from '../components/GeofenceOverlay';
+import PreAlertEditor from '../components/PreAlertEditor';
+import AlertProfilePicker from '../components/AlertProfilePicker';
+import PlaceSearch from '../components/PlaceSearch';
+import CoordinateEntry from '../components/CoordinateEntry';
+import { formatCoordinates } from '../utils/format';
 
-const MapScreen = ({ navigation }) => {
+// The slider is logarithmic so small radii can be set as precisely as large ones
+const sliderValueToRadius = (value) => {
+  const radius = MIN_RADIUS * Math.pow(MAX_RADIUS / MIN_RADIUS, value);
+  return clampRadius(Math.round(radius / 10) * 10);
+};
+
+const radiusToSliderValue = (radius) => {
+  return Math.log(radius / MIN_RADIUS) / Math.log(MAX_RADIUS / MIN_RADIUS);
+};
+
+// "Wake me N minutes before arrival" choices, null fires at the geofence
+const ETA_OPTIONS = [null, 2, 5, 10, 15];
+
+const TRIGGER_OPTIONS = [
+  { value: 'enter', label: 'Arriving' },
+  { value: 'exit', label: 'Leaving' },
+  { value: 'dwell', label: 'Staying' },
+];
+
+// Minutes inside the area before a dwell alarm fires
+const DWELL_OPTIONS = [5, 10, 15, 30, 60];
+
+const clampRadius = (radius) => Math.min(MAX_RADIUS, Math.max(MIN_RADIUS, radius));
+
+const formatRadius = (radius) => {
+  return radius < 1000 ? `${radius}m` : `${(radius / 1000).toFixed(radius % 1000 === 0 ? 0 : 2)}km`;
+};
+
+const MapScreen = ({ route, navigation }) => {
+  // Saved location being edited, if any
+  const editingLocation = route.params?.location || null;
+  // Fields are filled in from the location being edited, or one shared by link
+  const presetLocation = editingLocation || route.params?.sharedLocation || null;
   const [currentLocation, setCurrentLocation] = useState(null);
-  const [selectedLocation, setSelectedLocation] = useState(null);
-  const [locationName, setLocationName] = useState('');
-  const [radius, setRadius] = useState(500); // Default radius in meters
+  const [selectedLocation, setSelectedLocation] = useState(
+    presetLocation
+      ? { latitude: presetLocation.latitude, longitude: presetLocation.longitude }
+      : null
+  );
+  const [locationName, setLocationName] = useState(presetLocation?.name || '');
+  const [radius, setRadius] = useState(presetLocation?.radius || 500); // Default radius in meters
+  const [shape, setShape] = useState(presetLocation?.shape || 'circle');
+  const [polygonPoints, setPolygonPoints] = useState(presetLocation?.polygon || []);
+  const [trigger, setTrigger] = useState(presetLocation?.trigger || 'enter');
+  const [dwellMinutes, setDwellMinutes] = useState(presetLocation?.dwellMinutes || 10);
+  const [etaMinutes, setEtaMinutes] = useState(presetLocation?.etaMinutes || null);
+  const [preAlerts, setPreAlerts] = useState(presetLocation?.preAlerts || []);
+  const [alertProfileId, setAlertProfileId] = useState(presetLocation?.alertProfileId || null);
+  // Find destinations by searching ('search') or typing coordinates ('coordinates')
+  const [entryMode, setEntryMode] = useState('search');
   const mapRef = useRef(null);
 
   useEffect(() => {
+    if (editingLocation) {
+      navigation.setOptions({ title: 'Edit Location' });
+    } else if (presetLocation) {
+      navigation.setOptions({ title: 'Shared Location' });
+    }
+
     (async () => {
       // Get current location
       const { status } = await Location.requestForegroundPermissionsAsync();
@@ -33,6 +100,9 @@ const MapScreen = ({ navigation }) => {
         const { latitude, longitude } = location.coords;
         setCurrentLocation({ latitude, longitude });
         
+        // Keep the map centred on the location being edited or shared
+        if (presetLocation) return;
+        
         // Animate to current location
         mapRef.current?.animateToRegion({
           latitude,
@@ -47,46 +117,128 @@ const MapScreen = ({ navigation }) => {
     })();
   }, []);
 
+  // Centre of the geofence being set up, null until there's enough to save
+  const destinationCenter = shape === 'polygon'
+    ? (polygonPoints.length >= 3 ? polygonCentroid(polygonPoints) : null)
+    : selectedLocation;
+
+  // Geofence fields for the saved location or alarm
+  const getGeofence = () => {
+    if (shape === 'polygon') {
+      return polygonGeofence(polygonPoints);
+    }
+
+    return {
+      latitude: selectedLocation.latitude,
+      longitude: selectedLocation.longitude,
+      radius: radius,
+      shape: 'circle',
+      polygon: undefined,
+    };
+  };
+
   const handleMapPress = (event) => {
     const { coordinate } = event.nativeEvent;
-    setSelectedLocation(coordinate);
+
+    // In polygon mode each tap adds a corner
+    if (shape === 'polygon') {
+      setPolygonPoints(prev => [...prev, coordinate]);
+    } else {
+      setSelectedLocation(coordinate);
+    }
   };
 
-  const saveLocation = async () => {
-    if (!selectedLocation) {
-      Alert.alert('Error', 'Please select a location on the map');
-      return;
+  // Move a polygon corner by dragging it
+  const handlePolygonPointDragEnd = (index, event) => {
+    const { coordinate } = event.nativeEvent;
+    setPolygonPoints(prev => prev.map((point, i) => (i === index ? coordinate : point)));
+  };
+
+  // Fine-tune the destination by dragging its pin
+  const handleDestinationDragEnd = (event) => {
+    setSelectedLocation(event.nativeEvent.coordinate);
+  };
+
+  // Dragging the handle on the edge of the circle sets the radius
+  const handleRadiusHandleDrag = (event) => {
+    const { coordinate } = event.nativeEvent;
+    const distance = calculateDistance(
+      selectedLocation.latitude,
+      selectedLocation.longitude,
+      coordinate.latitude,
+      coordinate.longitude
+    ) * 1000;
+    setRadius(clampRadius(Math.round(distance / 10) * 10));
+  };
+
+  // Jump to a search result. In circle mode it becomes the destination, in
+  // polygon mode the map just centres on it so the area can be drawn around it.
+  const handlePlaceSelect = (place) => {
+    const coordinate = { latitude: place.latitude, longitude: place.longitude };
+
+    if (shape === 'circle') {
+      setSelectedLocation(coordinate);
+    }
+
+    if (place.name && !locationName.trim()) {
+      setLocationName(place.name);
+    }
+
+    mapRef.current?.animateToRegion({
+      ...coordinate,
+      latitudeDelta: 0.01,
+      longitudeDelta: 0.01,
+    });
+  };
+
+  // Address fields for a coordinate. Without a connection the coordinates
+  // stand in for the address until it can be looked up.
+  const lookUpAddress = async (coordinate) => {
+    const address = await geocodeService.getAddressString(coordinate);
+    return address
+      ? { address, addressPending: false }
+      : { address: formatCoordinates(coordinate), addressPending: true };
+  };
+
+  const validateSelection = () => {
+    if (!destinationCenter) {
+      Alert.alert(
+        'Error',
+        shape === 'polygon'
+          ? 'Please tap at least 3 points on the map to draw the area'
+          : 'Please select a location on the map'
+      );
+      return false;
     }
 
     if (!locationName.trim()) {
       Alert.alert('Error', 'Please enter a name for this location');
-      return;
+      return false;
     }
 
+    return true;
+  };
+
+  // Trigger settings shared by saved and temporary alarms. ETA and pre-alerts
+  // only apply when arriving.
+  const getTriggerOptions = () => ({
+    trigger,
+    dwellMinutes: trigger === 'dwell' ? dwellMinutes : null,
+    etaMinutes: trigger === 'enter' ? etaMinutes : null,
+    preAlerts: trigger === 'enter' ? preAlerts : [],
+    alertProfileId,
+  });
+
+  const saveLocation = async () => {
+    if (!validateSelection()) return;
+
     try {
-      // Get address from coordinates (reverse geocoding)
-      const [address] = await Location.reverseGeocodeAsync(selectedLocation);
-      const addressStr = [
-        address.street,
-        address.city,
-        address.region,
-        address.country
-      ].filter(Boolean).join(', ');
-
-      const newLocation = {
-        id: Date.now().toString(),
+      const newLocation = await dataRepository.saveLocation({
         name: locationName,
-        address: addressStr,
-        latitude: selectedLocation.latitude,
-        longitude: selectedLocation.longitude,
-        radius: radius,
-      };
-
-      // Save to AsyncStorage
-      const savedLocationsJson = await AsyncStorage.getItem('savedLocations');
-      const savedLocations = savedLocationsJson ? JSON.parse(savedLocationsJson) : [];
-      savedLocations.push(newLocation);
-      await AsyncStorage.setItem('savedLocations', JSON.stringify(savedLocations));
+        ...(await lookUpAddress(destinationCenter)),
+        ...getGeofence(),
+        ...getTriggerOptions(),
+      });
 
       // Navigate to alarm screen with the new location
       navigation.navigate('Alarm', { destination: newLocation });
@@ -96,8 +248,35 @@ const MapScreen = ({ navigation }) => {
     }
   };
 
+  // Save changes to the location being edited under the same id
+  const saveChanges = async () => {
+    if (!validateSelection()) return;
+
+    try {
+      const pinMoved =
+        destinationCenter.latitude !== editingLocation.latitude ||
+        destinationCenter.longitude !== editingLocation.longitude;
+
+      // Only look the address up again if the pin moved
+      const addressFields = pinMoved ? await lookUpAddress(destinationCenter) : {};
+
+      await dataRepository.saveLocation({
+        ...editingLocation,
+        name: locationName,
+        ...addressFields,
+        ...getGeofence(),
+        ...getTriggerOptions(),
+      });
+
+      navigation.goBack();
+    } catch (error) {
+      console.error('Error updating location:', error);
+      Alert.alert('Error', 'Failed to update location');
+    }
+  };
+
   const handleSetAlarmWithoutSaving = () => {
-    if (!selectedLocation) {
+    if (!destinationCenter) {
       Alert.alert('Error', 'Please select a location on the map');
       return;
     }
@@ -105,9 +284,8 @@ const MapScreen = ({ navigation }) => {
     const tempDestination = {
       id: 'temp-' + Date.now().toString(),
       name: locationName || 'Selected Location',
-      latitude: selectedLocation.latitude,
-      longitude: selectedLocation.longitude,
-      radius: radius,
+      ...getGeofence(),
+      ...getTriggerOptions(),
     };
 
     navigation.navigate('Alarm', { destination: tempDestination });
@@ -115,40 +293,67 @@ const MapScreen = ({ navigation }) => {
 
   return (
     <View style={styles.container}>
-      {currentLocation ? (
+      {currentLocation || presetLocation ? (
         <MapView
           ref={mapRef}
           style={styles.map}
           initialRegion={{
-            latitude: currentLocation.latitude,
-            longitude: currentLocation.longitude,
+            ...(presetLocation ? destinationCenter : currentLocation),
             latitudeDelta: 0.01,
             longitudeDelta: 0.01,
           }}
           onPress={handleMapPress}
         >
           {/* Current location marker */}
-          <Marker
-            coordinate={currentLocation}
-            title="Your Location"
-            pinColor="blue"
-          />
+          {currentLocation && (
+            <Marker
+              coordinate={currentLocation}
+              title="Your Location"
+              pinColor="blue"
+            />
+          )}
 
           {/* Selected destination marker and geofence circle */}
-          {selectedLocation && (
+          {shape === 'circle' && selectedLocation && (
             <>
               <Marker
                 coordinate={selectedLocation}
                 title={locationName || "Selected Destination"}
                 pinColor="red"
+                draggable
+                onDragEnd={handleDestinationDragEnd}
               />
-              <Circle
-                center={selectedLocation}
-                radius={radius}
-                fillColor="rgba(16, 185, 129, 0.2)"
-                strokeColor="rgba(16, 185, 129, 0.5)"
-                strokeWidth={2}
-              />
+              {/* Handle on the east edge of the circle for resizing it */}
+              <Marker
+                coordinate={destinationPoint(selectedLocation, 90, radius)}
+                anchor={{ x: 0.5, y: 0.5 }}
+                draggable
+                onDrag={handleRadiusHandleDrag}
+                onDragEnd={handleRadiusHandleDrag}
+              >
+                <View style={styles.radiusHandle} />
+              </Marker>
+              <GeofenceOverlay fence={{ ...selectedLocation, radius }} />
+            </>
+          )}
+
+          {/* Polygon corners, draggable to adjust the area */}
+          {shape === 'polygon' && (
+            <>
+              {polygonPoints.map((point, index) => (
+                <Marker
+                  key={`point-${index}`}
+                  coordinate={point}
+                  anchor={{ x: 0.5, y: 0.5 }}
+                  draggable
+                  onDragEnd={(event) => handlePolygonPointDragEnd(index, event)}
+                >
+                  <View style={styles.polygonPoint} />
+                </Marker>
+              ))}
+              {polygonPoints.length >= 3 && (
+                <GeofenceOverlay fence={{ shape: 'polygon', polygon: polygonPoints }} />
+              )}
             </>
           )}
         </MapView>
@@ -158,8 +363,63 @@ const MapScreen = ({ navigation }) => {
         </View>
       )}
 
-      {selectedLocation && (
-        <View style={styles.destinationPanel}>
+      {/* Place search and geofence shape toggle */}
+      <View style={styles.shapeToolbar}>
+        <View style={styles.entryRow}>
+          <View style={styles.entryField}>
+            {entryMode === 'search' ? (
+              <PlaceSearch near={currentLocation} onSelect={handlePlaceSelect} />
+            ) : (
+              <CoordinateEntry near={currentLocation} onSelect={handlePlaceSelect} />
+            )}
+          </View>
+          <TouchableOpacity
+            style={styles.entryModeButton}
+            onPress={() => setEntryMode(entryMode === 'search' ? 'coordinates' : 'search')}
+          >
+            <Text style={styles.entryModeText}>{entryMode === 'search' ? 'Coords' : 'Search'}</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.shapeToggle}>
+          {['circle', 'polygon'].map(option => (
+            <TouchableOpacity
+              key={option}
+              style={[styles.shapeButton, shape === option && styles.shapeButtonActive]}
+              onPress={() => setShape(option)}
+            >
+              <Text style={[styles.shapeButtonText, shape === option && styles.shapeButtonTextActive]}>
+                {option === 'circle' ? 'Circle' : 'Polygon'}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {shape === 'polygon' && (
+          <View style={styles.polygonTools}>
+            <Text style={styles.polygonHint}>
+              Tap the map to add corners ({polygonPoints.length})
+            </Text>
+            <TouchableOpacity
+              style={styles.polygonToolButton}
+              onPress={() => setPolygonPoints(prev => prev.slice(0, -1))}
+              disabled={polygonPoints.length === 0}
+            >
+              <Text style={styles.polygonToolText}>Undo</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.polygonToolButton}
+              onPress={() => setPolygonPoints([])}
+              disabled={polygonPoints.length === 0}
+            >
+              <Text style={styles.polygonToolText}>Clear</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+
+      {destinationCenter && (
+        <ScrollView style={styles.destinationPanel} contentContainerStyle={styles.destinationPanelContent}>
           <TextInput
             style={styles.input}
             placeholder="Location Name"
@@ -167,46 +427,122 @@ const MapScreen = ({ navigation }) => {
             onChangeText={setLocationName}
           />
           
-          <View style={styles.radiusContainer}>
-            <Text style={styles.radiusLabel}>Alert Radius: {radius}m</Text>
-            <View style={styles.radiusButtonsContainer}>
+          {shape === 'circle' && (
+            <View style={styles.radiusContainer}>
+              <Text style={styles.radiusLabel}>Alert Radius: {formatRadius(radius)}</Text>
+              <Slider
+                style={styles.radiusSlider}
+                minimumValue={0}
+                maximumValue={1}
+                value={radiusToSliderValue(radius)}
+                onValueChange={(value) => setRadius(sliderValueToRadius(value))}
+                minimumTrackTintColor="#1E3A8A"
+                maximumTrackTintColor="#ddd"
+                thumbTintColor="#1E3A8A"
+              />
+              <View style={styles.radiusScale}>
+                <Text style={styles.radiusScaleText}>{formatRadius(MIN_RADIUS)}</Text>
+                <Text style={styles.radiusScaleText}>Drag the circle&apos;s edge to adjust</Text>
+                <Text style={styles.radiusScaleText}>{formatRadius(MAX_RADIUS)}</Text>
+              </View>
+            </View>
+          )}
+
+          <View style={styles.etaContainer}>
+            <Text style={styles.radiusLabel}>Alert Me When</Text>
+            <View style={styles.etaOptions}>
+              {TRIGGER_OPTIONS.map(option => (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.etaOption, trigger === option.value && styles.etaOptionActive]}
+                  onPress={() => setTrigger(option.value)}
+                >
+                  <Text style={[styles.etaOptionText, trigger === option.value && styles.etaOptionTextActive]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+
+          {trigger === 'dwell' && (
+            <View style={styles.etaContainer}>
+              <Text style={styles.radiusLabel}>After Staying</Text>
+              <View style={styles.etaOptions}>
+                {DWELL_OPTIONS.map(option => (
+                  <TouchableOpacity
+                    key={option}
+                    style={[styles.etaOption, dwellMinutes === option && styles.etaOptionActive]}
+                    onPress={() => setDwellMinutes(option)}
+                  >
+                    <Text style={[styles.etaOptionText, dwellMinutes === option && styles.etaOptionTextActive]}>
+                      {option} min
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+          )}
+
+          {trigger === 'enter' && (
+            <>
+              <View style={styles.etaContainer}>
+                <Text style={styles.radiusLabel}>Wake Me</Text>
+                <View style={styles.etaOptions}>
+                  {ETA_OPTIONS.map(option => (
+                    <TouchableOpacity
+                      key={String(option)}
+                      style={[styles.etaOption, etaMinutes === option && styles.etaOptionActive]}
+                      onPress={() => setEtaMinutes(option)}
+                    >
+                      <Text style={[styles.etaOptionText, etaMinutes === option && styles.etaOptionTextActive]}>
+                        {option === null ? 'On arrival' : `${option} min`}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                {etaMinutes !== null && (
+                  <Text style={styles.radiusScaleText}>
+                    Based on your speed. The {shape === 'polygon' ? 'area' : 'radius'} still triggers the alarm if you get there first.
+                  </Text>
+                )}
+              </View>
+
+              <Text style={styles.radiusLabel}>Pre-alerts</Text>
+              <PreAlertEditor stages={preAlerts} onChange={setPreAlerts} />
+            </>
+          )}
+
+          <Text style={styles.radiusLabel}>Alert Profile</Text>
+          <AlertProfilePicker value={alertProfileId} onChange={setAlertProfileId} />
+
+          {editingLocation ? (
+            <View style={styles.buttonContainer}>
               <TouchableOpacity 
-                style={[styles.radiusButton, radius === 200 && styles.radiusButtonActive]}
-                onPress={() => setRadius(200)}
+                style={[styles.saveButton, styles.saveChangesButton]}
+                onPress={saveChanges}
               >
-                <Text style={styles.radiusButtonText}>200m</Text>
+                <Text style={styles.buttonText}>Save Changes</Text>
               </TouchableOpacity>
+            </View>
+          ) : (
+            <View style={styles.buttonContainer}>
               <TouchableOpacity 
-                style={[styles.radiusButton, radius === 500 && styles.radiusButtonActive]}
-                onPress={() => setRadius(500)}
+                style={styles.saveButton}
+                onPress={saveLocation}
               >
-                <Text style={styles.radiusButtonText}>500m</Text>
+                <Text style={styles.buttonText}>Save & Set Alarm</Text>
               </TouchableOpacity>
+              
               <TouchableOpacity 
-                style={[styles.radiusButton, radius === 1000 && styles.radiusButtonActive]}
-                onPress={() => setRadius(1000)}
+                style={styles.setAlarmButton}
+                onPress={handleSetAlarmWithoutSaving}
               >
-                <Text style={styles.radiusButtonText}>1km</Text>
+                <Text style={styles.buttonText}>Set Alarm Only</Text>
               </TouchableOpacity>
             </View>
-          </View>
-
-          <View style={styles.buttonContainer}>
-            <TouchableOpacity 
-              style={styles.saveButton}
-              onPress={saveLocation}
-            >
-              <Text style={styles.buttonText}>Save & Set Alarm</Text>
-            </TouchableOpacity>
-            
-            <TouchableOpacity 
-              style={styles.setAlarmButton}
-              onPress={handleSetAlarmWithoutSaving}
-            >
-              <Text style={styles.buttonText}>Set Alarm Only</Text>
-            </TouchableOpacity>
-          </View>
-        </View>
+          )}
+        </ScrollView>
       )}
     </View>
   );
@@ -224,9 +560,91 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  shapeToolbar: {
+    position: 'absolute',
+    top: 10,
+    left: 10,
+    right: 10,
+  },
+  entryRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  entryField: {
+    flex: 1,
+  },
+  entryModeButton: {
+    backgroundColor: 'white',
+    borderRadius: 8,
+    paddingVertical: 11,
+    paddingHorizontal: 10,
+    marginLeft: 6,
+    elevation: 3,
+  },
+  entryModeText: {
+    color: '#1E3A8A',
+    fontWeight: '500',
+  },
+  shapeToggle: {
+    flexDirection: 'row',
+    alignSelf: 'center',
+    backgroundColor: 'white',
+    borderRadius: 20,
+    padding: 3,
+    elevation: 3,
+  },
+  shapeButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 16,
+    borderRadius: 17,
+  },
+  shapeButtonActive: {
+    backgroundColor: '#1E3A8A',
+  },
+  shapeButtonText: {
+    color: '#333',
+    fontWeight: '500',
+  },
+  shapeButtonTextActive: {
+    color: 'white',
+  },
+  polygonTools: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    padding: 8,
+    marginTop: 8,
+    elevation: 3,
+  },
+  polygonHint: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+  },
+  polygonToolButton: {
+    backgroundColor: '#f0f0f0',
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 4,
+    marginLeft: 8,
+  },
+  polygonToolText: {
+    color: '#1E3A8A',
+    fontWeight: '500',
+  },
+  polygonPoint: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    backgroundColor: '#10B981',
+    borderWidth: 2,
+    borderColor: 'white',
+  },
   destinationPanel: {
+    flexGrow: 0,
+    maxHeight: '55%',
     backgroundColor: 'white',
-    padding: 20,
     borderTopLeftRadius: 20,
     borderTopRightRadius: 20,
     shadowColor: '#000',
@@ -235,6 +653,9 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 5,
   },
+  destinationPanelContent: {
+    padding: 20,
+  },
   input: {
     borderWidth: 1,
     borderColor: '#ddd',
@@ -251,26 +672,53 @@ const styles = StyleSheet.create({
     marginBottom: 8,
     color: '#333',
   },
-  radiusButtonsContainer: {
+  radiusSlider: {
+    width: '100%',
+    height: 40,
+  },
+  radiusScale: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  radiusScaleText: {
+    fontSize: 12,
+    color: '#999',
+  },
+  etaContainer: {
+    marginBottom: 15,
+  },
+  etaOptions: {
     flexDirection: 'row',
     justifyContent: 'space-between',
+    marginBottom: 5,
   },
-  radiusButton: {
+  etaOption: {
     backgroundColor: '#f0f0f0',
-    paddingVertical: 8,
-    paddingHorizontal: 16,
+    paddingVertical: 6,
     borderRadius: 20,
     flex: 1,
-    marginHorizontal: 5,
+    marginHorizontal: 3,
     alignItems: 'center',
   },
-  radiusButtonActive: {
+  etaOptionActive: {
     backgroundColor: '#1E3A8A',
   },
-  radiusButtonText: {
+  etaOptionText: {
     color: '#333',
+    fontSize: 13,
     fontWeight: '500',
   },
+  etaOptionTextActive: {
+    color: 'white',
+  },
+  radiusHandle: {
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    backgroundColor: 'white',
+    borderWidth: 3,
+    borderColor: '#1E3A8A',
+  },
   buttonContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -283,6 +731,9 @@ const styles = StyleSheet.create({
     marginRight: 8,
     alignItems: 'center',
   },
+  saveChangesButton: {
+    marginRight: 0,
+  },
   setAlarmButton: {
     backgroundColor: '#F59E0B', // Warm Orange from your color scheme
     paddingVertical: 12,
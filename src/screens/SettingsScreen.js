@@ -1,29 +1,54 @@
 import React, { useState, useEffect } from 'react';
 import { StyleSheet, View, Text, Switch, TouchableOpacity, Alert, ScrollView } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import dataRepository, { DEFAULT_SETTINGS } from '../services/DataRepository';
+import locationService from '../services/LocationService';
+import { ALARM_TONES } from '../services/SoundService';
+import fileService from '../services/FileService';
+import { shareLocation } from '../navigation/DeepLinks';
+import { FILE_FORMATS, exportLocations, parseLocationFile } from '../utils/locationFiles';
 import * as Location from 'expo-location';
 
-const SettingsScreen = () => {
+// How many fixes in a row inside the geofence confirm an arrival
+const CONFIRMATION_OPTIONS = [1, 2, 3, 5];
+
+// One line summary of an alert profile
+const describeProfile = (profile) => {
+  const tone = ALARM_TONES.find(item => item.id === profile.tone);
+  const parts = [
+    tone ? `${tone.name} tone` : 'No sound',
+    profile.vibration === 'none' ? 'no vibration' : `${profile.vibration} vibration`,
+  ];
+  if (profile.escalate) parts.push('escalating');
+  return parts.join(' · ');
+};
+
+const SettingsScreen = ({ navigation }) => {
   const [backgroundLocationEnabled, setBackgroundLocationEnabled] = useState(false);
   const [vibrationEnabled, setVibrationEnabled] = useState(true);
   const [soundEnabled, setSoundEnabled] = useState(true);
+  const [alertProfiles, setAlertProfiles] = useState([]);
+  const [defaultAlertProfileId, setDefaultAlertProfileId] = useState(DEFAULT_SETTINGS.defaultAlertProfileId);
+  const [confirmationFixes, setConfirmationFixes] = useState(DEFAULT_SETTINGS.confirmationFixes);
+  const [recordTracks, setRecordTracks] = useState(DEFAULT_SETTINGS.recordTracks);
   const [savedLocations, setSavedLocations] = useState([]);
 
   useEffect(() => {
     // Load settings from storage
     loadSettings();
-    // Load saved locations
-    loadSavedLocations();
-  }, []);
+    // Load saved locations and alert profiles, again whenever we come back from editing one
+    return navigation.addListener('focus', () => {
+      loadSavedLocations();
+      loadAlertProfiles();
+    });
+  }, [navigation]);
 
   const loadSettings = async () => {
     try {
-      const settings = await AsyncStorage.getItem('settings');
-      if (settings) {
-        const parsedSettings = JSON.parse(settings);
-        setVibrationEnabled(parsedSettings.vibrationEnabled ?? true);
-        setSoundEnabled(parsedSettings.soundEnabled ?? true);
-      }
+      const settings = await dataRepository.getSettings();
+      setVibrationEnabled(settings.vibrationEnabled);
+      setSoundEnabled(settings.soundEnabled);
+      setConfirmationFixes(settings.confirmationFixes);
+      setRecordTracks(settings.recordTracks);
 
       // Check background location permission status
       const { status } = await Location.getBackgroundPermissionsAsync();
@@ -33,24 +58,31 @@ const SettingsScreen = () => {
     }
   };
 
+  const loadAlertProfiles = async () => {
+    try {
+      const [profiles, settings] = await Promise.all([
+        dataRepository.getAlertProfiles(),
+        dataRepository.getSettings(),
+      ]);
+      setAlertProfiles(profiles);
+      setDefaultAlertProfileId(settings.defaultAlertProfileId);
+    } catch (error) {
+      console.error('Failed to load alert profiles:', error);
+    }
+  };
+
   const loadSavedLocations = async () => {
     try {
-      const savedLocationsJson = await AsyncStorage.getItem('savedLocations');
-      if (savedLocationsJson) {
-        setSavedLocations(JSON.parse(savedLocationsJson));
-      }
+      setSavedLocations(await dataRepository.getSavedLocations());
     } catch (error) {
       console.error('Failed to load saved locations:', error);
     }
   };
 
-  const saveSettings = async () => {
+  const saveSettings = async (changes) => {
     try {
-      const settings = {
-        vibrationEnabled,
-        soundEnabled,
-      };
-      await AsyncStorage.setItem('settings', JSON.stringify(settings));
+      // Armed alarms pick the change up straight away
+      locationService.applySettings(await dataRepository.updateSettings(changes));
     } catch (error) {
       console.error('Failed to save settings:', error);
       Alert.alert('Error', 'Failed to save settings');
@@ -80,13 +112,24 @@ const SettingsScreen = () => {
   const toggleVibration = () => {
     const newValue = !vibrationEnabled;
     setVibrationEnabled(newValue);
-    saveSettings();
+    saveSettings({ vibrationEnabled: newValue });
   };
 
   const toggleSound = () => {
     const newValue = !soundEnabled;
     setSoundEnabled(newValue);
-    saveSettings();
+    saveSettings({ soundEnabled: newValue });
+  };
+
+  const selectConfirmationFixes = (value) => {
+    setConfirmationFixes(value);
+    saveSettings({ confirmationFixes: value });
+  };
+
+  const toggleRecordTracks = () => {
+    const newValue = !recordTracks;
+    setRecordTracks(newValue);
+    saveSettings({ recordTracks: newValue });
   };
 
   const handleDeleteLocation = (locationId) => {
@@ -100,9 +143,7 @@ const SettingsScreen = () => {
           style: 'destructive',
           onPress: async () => {
             try {
-              const updatedLocations = savedLocations.filter(loc => loc.id !== locationId);
-              setSavedLocations(updatedLocations);
-              await AsyncStorage.setItem('savedLocations', JSON.stringify(updatedLocations));
+              setSavedLocations(await dataRepository.deleteLocation(locationId));
             } catch (error) {
               console.error('Failed to delete location:', error);
               Alert.alert('Error', 'Failed to delete location');
@@ -113,6 +154,49 @@ const SettingsScreen = () => {
     );
   };
 
+  // Pick a GPX, KML or GeoJSON file and preview the places in it
+  const handleImportLocations = async () => {
+    try {
+      const file = await fileService.pickTextFile();
+      if (!file) return;
+
+      const { places, skipped, repeated } = parseLocationFile(file.text, file.name);
+      if (places.length === 0) {
+        Alert.alert('Nothing to Import', 'No points or polygons were found in that file.');
+        return;
+      }
+
+      navigation.navigate('ImportLocations', { fileName: file.name, places, skipped, repeated });
+    } catch (error) {
+      console.error('Failed to import locations:', error);
+      Alert.alert('Import Failed', error.message);
+    }
+  };
+
+  const handleExportLocations = async (format) => {
+    try {
+      const { extension, mimeType } = FILE_FORMATS[format];
+      await fileService.shareTextFile(
+        `geowake-locations.${extension}`,
+        exportLocations(savedLocations, format),
+        mimeType
+      );
+    } catch (error) {
+      console.error('Failed to export locations:', error);
+      Alert.alert('Export Failed', error.message);
+    }
+  };
+
+  // Send a link that opens GeoWake on this location
+  const handleShareLocation = async (location) => {
+    try {
+      await shareLocation(location);
+    } catch (error) {
+      console.error('Failed to share location:', error);
+      Alert.alert('Error', 'Failed to share location');
+    }
+  };
+
   const handleClearAllLocations = () => {
     Alert.alert(
       'Clear All Locations',
@@ -125,7 +209,7 @@ const SettingsScreen = () => {
           onPress: async () => {
             try {
               setSavedLocations([]);
-              await AsyncStorage.removeItem('savedLocations');
+              await dataRepository.clearLocations();
               Alert.alert('Success', 'All saved locations have been cleared');
             } catch (error) {
               console.error('Failed to clear locations:', error);
@@ -163,6 +247,73 @@ const SettingsScreen = () => {
         </View>
       </View>
 
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Alert Profiles</Text>
+        
+        {alertProfiles.map(profile => (
+          <TouchableOpacity
+            key={profile.id}
+            style={styles.locationItem}
+            onPress={() => navigation.navigate('AlertProfile', { profile })}
+          >
+            <View style={styles.locationInfo}>
+              <Text style={styles.locationName}>
+                {profile.name}{profile.id === defaultAlertProfileId ? ' (default)' : ''}
+              </Text>
+              <Text style={styles.locationAddress}>{describeProfile(profile)}</Text>
+            </View>
+          </TouchableOpacity>
+        ))}
+        
+        <TouchableOpacity
+          style={styles.clearAllButton}
+          onPress={() => navigation.navigate('AlertProfile')}
+        >
+          <Text style={styles.addProfileText}>+ New Profile</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Arrival Detection</Text>
+        
+        <Text style={styles.settingLabel}>Confirm arrival after</Text>
+        <View style={styles.optionRow}>
+          {CONFIRMATION_OPTIONS.map(value => (
+            <TouchableOpacity
+              key={value}
+              style={[styles.option, confirmationFixes === value && styles.optionActive]}
+              onPress={() => selectConfirmationFixes(value)}
+            >
+              <Text style={[styles.optionText, confirmationFixes === value && styles.optionTextActive]}>
+                {value === 1 ? '1 fix' : `${value} fixes`}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        
+        <Text style={styles.permissionNote}>
+          Waiting for a few GPS fixes inside the alert area stops a single bad reading from waking you early.
+        </Text>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Diagnostics</Text>
+        
+        <View style={styles.settingItem}>
+          <Text style={styles.settingLabel}>Record Journey Tracks</Text>
+          <Switch
+            value={recordTracks}
+            onValueChange={toggleRecordTracks}
+            trackColor={{ false: '#767577', true: '#10B981' }}
+            thumbColor={recordTracks ? '#f4f3f4' : '#f4f3f4'}
+          />
+        </View>
+        
+        <Text style={styles.permissionNote}>
+          Stores every GPS fix while an alarm is armed. Export a trip&apos;s track as GPX from Trip History to see why an alarm did or didn&apos;t go off.
+        </Text>
+      </View>
+
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Permissions</Text>
         
@@ -193,6 +344,18 @@ const SettingsScreen = () => {
                   <Text style={styles.locationAddress}>{location.address}</Text>
                 )}
               </View>
+              <TouchableOpacity
+                style={styles.editButton}
+                onPress={() => navigation.navigate('Map', { location })}
+              >
+                <Text style={styles.deleteButtonText}>Edit</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.shareButton}
+                onPress={() => handleShareLocation(location)}
+              >
+                <Text style={styles.deleteButtonText}>Share</Text>
+              </TouchableOpacity>
               <TouchableOpacity
                 style={styles.deleteButton}
                 onPress={() => handleDeleteLocation(location.id)}
@@ -215,6 +378,34 @@ const SettingsScreen = () => {
         )}
       </View>
 
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Import & Export</Text>
+
+        <TouchableOpacity
+          style={[styles.clearAllButton, styles.importButton]}
+          onPress={handleImportLocations}
+        >
+          <Text style={styles.addProfileText}>Import GPX, KML or GeoJSON</Text>
+        </TouchableOpacity>
+
+        {savedLocations.length > 0 && (
+          <>
+            <Text style={[styles.settingLabel, styles.exportLabel]}>Export saved locations as</Text>
+            <View style={styles.optionRow}>
+              {Object.keys(FILE_FORMATS).map(format => (
+                <TouchableOpacity
+                  key={format}
+                  style={styles.option}
+                  onPress={() => handleExportLocations(format)}
+                >
+                  <Text style={styles.optionText}>{FILE_FORMATS[format].name}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </>
+        )}
+      </View>
+
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>About</Text>
         <Text style={styles.aboutText}>
@@ -262,6 +453,28 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#333',
   },
+  optionRow: {
+    flexDirection: 'row',
+    marginTop: 10,
+  },
+  option: {
+    flex: 1,
+    backgroundColor: '#f0f0f0',
+    paddingVertical: 8,
+    borderRadius: 16,
+    marginHorizontal: 3,
+    alignItems: 'center',
+  },
+  optionActive: {
+    backgroundColor: '#1E3A8A',
+  },
+  optionText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  optionTextActive: {
+    color: 'white',
+  },
   permissionNote: {
     fontSize: 14,
     color: '#666',
@@ -289,6 +502,20 @@ const styles = StyleSheet.create({
     color: '#666',
     marginTop: 2,
   },
+  editButton: {
+    backgroundColor: '#1E3A8A',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 4,
+    marginRight: 8,
+  },
+  shareButton: {
+    backgroundColor: '#10B981',
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 4,
+    marginRight: 8,
+  },
   deleteButton: {
     backgroundColor: '#ff4d4f',
     paddingVertical: 6,
@@ -314,6 +541,17 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginTop: 15,
   },
+  importButton: {
+    marginTop: 0,
+  },
+  exportLabel: {
+    marginTop: 15,
+  },
+  addProfileText: {
+    color: '#1E3A8A',
+    fontSize: 16,
+    fontWeight: '500',
+  },
   clearAllButtonText: {
     color: '#ff4d4f',
     fontSize: 16,
@@ -0,0 +1,242 @@
+import { Alert, AppState, Vibration } from 'react-native';
+import * as Haptics from 'expo-haptics';
+import locationService, { LocationEvents } from './LocationService';
+import notificationService, { AlarmActions } from './NotificationService';
+import soundService from './SoundService';
+import dataRepository, { DEFAULT_SETTINGS, DEFAULT_ALERT_PROFILES } from './DataRepository';
+import { navigate } from '../navigation/RootNavigation';
+import { getAlarmMessage } from '../utils/format';
+
+// Vibration patterns for the alert profiles: alternating wait and vibrate times in ms
+const VIBRATION_PATTERNS = {
+  gentle: [500, 300, 700, 300],
+  standard: [500, 1000, 500, 2000],
+  intense: [0, 1500, 200, 1500, 200, 1500],
+};
+
+// Short double buzz for pre-alert nudges when haptics aren't available
+const NUDGE_PATTERN = [0, 200, 150, 200];
+
+// Snooze choices offered when an alarm goes off. The notification's Snooze
+// buttons use the first and the last one.
+const SNOOZE_OPTIONS = [
+  { label: '5 min', minutes: 5 },
+  { label: '10 min', minutes: 10 },
+  { label: '200 m', distance: 200 },
+];
+
+// Shows the arrival alert for any alarm, whichever screen is open
+class AlertService {
+  constructor() {
+    this.unsubscribers = [];
+    // Alarms that went off while the app was in the background. Their alert is
+    // shown when the app comes back, unless they were handled from the notification.
+    this.pendingAlarmIds = new Set();
+  }
+
+  // Start listening for triggered alarms, pre-alerts and notification buttons
+  start() {
+    if (this.unsubscribers.length > 0) return;
+
+    this.unsubscribers = [
+      locationService.subscribe(
+        LocationEvents.ALARM_TRIGGERED,
+        (alarm) => this.showArrivalAlert(alarm)
+      ),
+      locationService.subscribe(
+        LocationEvents.PRE_ALERT,
+        ({ alarm, stage }) => this.handlePreAlert(alarm, stage)
+      ),
+      notificationService.subscribeToActions(
+        (response) => this.handleNotificationAction(response)
+      ),
+    ];
+
+    const appStateSubscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        this.showPendingAlerts();
+      }
+    });
+    this.unsubscribers.push(() => appStateSubscription.remove());
+  }
+
+  // Stop listening for triggered alarms
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  // Sound and vibration settings and the alarm's alert profile at the moment it goes off
+  async getAlertOptions(alarm) {
+    try {
+      const [settings, profile] = await Promise.all([
+        dataRepository.getSettings(),
+        dataRepository.getAlertProfileFor(alarm),
+      ]);
+      return { settings, profile };
+    } catch (error) {
+      console.error('Error loading alert profile:', error);
+      return { settings: DEFAULT_SETTINGS, profile: DEFAULT_ALERT_PROFILES[0] };
+    }
+  }
+
+  // Soft nudge for haptic pre-alert stages. Notification stages are posted by
+  // the location service so they also work in the background.
+  async handlePreAlert(alarm, stage) {
+    if (stage.type !== 'haptic') return;
+
+    const { settings, profile } = await this.getAlertOptions(alarm);
+    if (!settings.vibrationEnabled) return;
+
+    if (AppState.currentState === 'active') {
+      Haptics.impactAsync(profile.haptics);
+    } else {
+      Vibration.vibrate(NUDGE_PATTERN);
+    }
+  }
+
+  // Ring, vibrate and show the arrival alert the way the alarm's profile says,
+  // as far as the Sound and Vibration settings allow
+  async showArrivalAlert(alarm) {
+    // In the background the notification posted by the location service rings
+    // and vibrates through its channel, and nobody would see an Alert
+    if (AppState.currentState !== 'active') {
+      this.pendingAlarmIds.add(alarm.id);
+      return;
+    }
+
+    const { settings, profile } = await this.getAlertOptions(alarm);
+
+    if (settings.vibrationEnabled && profile.vibration !== 'none') {
+      const [wait, ...rest] = VIBRATION_PATTERNS[profile.vibration];
+      Vibration.vibrate([wait + profile.repeatSeconds * 1000, ...rest], true);
+    }
+    if (settings.soundEnabled && profile.tone) {
+      soundService.playAlarm(profile.tone, {
+        escalate: profile.escalate,
+        repeatSeconds: profile.repeatSeconds,
+      });
+    }
+
+    this.showAlertDialog(alarm);
+  }
+
+  // Show the alerts for alarms that went off while the app was in the
+  // background and still haven't been handled from their notification
+  showPendingAlerts() {
+    this.pendingAlarmIds.forEach(alarmId => {
+      const alarm = locationService.getAlarm(alarmId);
+      if (alarm?.triggered) {
+        this.showAlertDialog(alarm);
+      }
+    });
+    this.pendingAlarmIds.clear();
+  }
+
+  // The in-app alert with the same choices as the notification
+  showAlertDialog(alarm) {
+    const { title, body } = getAlarmMessage(alarm);
+
+    Alert.alert(
+      title,
+      body,
+      [
+        {
+          text: 'Snooze',
+          onPress: () => this.showSnoozeOptions(alarm),
+        },
+        {
+          text: 'Re-arm',
+          onPress: () => this.rearmAlarm(alarm.id),
+        },
+        {
+          text: 'Stop Alarm',
+          onPress: () => this.dismissAlarm(alarm.id),
+        },
+      ],
+      { cancelable: false }
+    );
+  }
+
+  // Ask how long to snooze for, by time or by distance
+  showSnoozeOptions(alarm) {
+    Alert.alert(
+      'Snooze',
+      `Remind me about ${alarm.name} again in`,
+      SNOOZE_OPTIONS.map(option => ({
+        text: option.label,
+        onPress: () => this.snoozeAlarm(alarm.id, option),
+      })),
+      { cancelable: false }
+    );
+  }
+
+  // Handle a tap on an alarm notification or one of its buttons
+  async handleNotificationAction({ alarmIds, action, notificationId }) {
+    // The app may have been started just to handle the notification
+    if (alarmIds.some(alarmId => !locationService.getAlarm(alarmId))) {
+      await locationService.restoreAlarms();
+    }
+
+    // Tapping a notification opens its alarm, or the list when it's about
+    // several. The notification stays until the alarm is handled there.
+    if (action === AlarmActions.OPEN) {
+      const alarms = alarmIds.map(alarmId => locationService.getAlarm(alarmId)).filter(Boolean);
+      if (alarms.length === 1) {
+        navigate('Alarm', { destination: alarms[0] });
+      } else if (alarms.length > 1) {
+        navigate('ActiveAlarms');
+      }
+      return;
+    }
+
+    notificationService.dismissNotification(notificationId);
+
+    for (const alarmId of alarmIds) {
+      if (action === AlarmActions.SNOOZE) {
+        await this.snoozeAlarm(alarmId, SNOOZE_OPTIONS[0]);
+      } else if (action === AlarmActions.SNOOZE_DISTANCE) {
+        await this.snoozeAlarm(alarmId, SNOOZE_OPTIONS[SNOOZE_OPTIONS.length - 1]);
+      } else if (action === AlarmActions.REARM) {
+        await this.rearmAlarm(alarmId);
+      } else if (action === AlarmActions.DISMISS || action === AlarmActions.CANCEL) {
+        await this.dismissAlarm(alarmId);
+      }
+    }
+  }
+
+  // Stop ringing and vibrating, and clear the alarm's notification so the
+  // app and the notification tray agree. Sound and vibration are shared by all
+  // alarms, so they keep going while another one is still waiting to be handled.
+  stopAlert(alarmId) {
+    const othersRinging = locationService.activeAlarms.some(alarm => alarm.id !== alarmId && alarm.triggered);
+    if (!othersRinging) {
+      Vibration.cancel();
+      soundService.stop();
+    }
+    this.pendingAlarmIds.delete(alarmId);
+    notificationService.dismissAlarmNotifications(alarmId);
+  }
+
+  // Stop the alert and let the alarm go off again later
+  async snoozeAlarm(alarmId, { minutes, distance }) {
+    this.stopAlert(alarmId);
+    await locationService.snoozeAlarm(alarmId, { minutes, distance });
+  }
+
+  // Stop the alert and arm the alarm again for the next arrival
+  async rearmAlarm(alarmId) {
+    this.stopAlert(alarmId);
+    await locationService.rearmAlarm(alarmId);
+  }
+
+  // Stop the alert and disarm the alarm
+  async dismissAlarm(alarmId) {
+    this.stopAlert(alarmId);
+    await locationService.removeAlarm(alarmId);
+  }
+}
+
+// Create a singleton instance
+const alertService = new AlertService();
+export default alertService;
@@ -0,0 +1,40 @@
+import * as TaskManager from 'expo-task-manager';
+import locationService, { BACKGROUND_LOCATION_TASK } from './LocationService';
+
+// The task has to be defined in the global scope so it is registered when the
+// OS starts the app in the background to deliver location updates.
+TaskManager.defineTask(BACKGROUND_LOCATION_TASK, async ({ data, error }) => {
+  if (error) {
+    console.error('Background location task error:', error);
+    return;
+  }
+
+  const locations = data?.locations;
+  if (!locations || locations.length === 0) {
+    return;
+  }
+
+  // If the app was killed the alarms only exist in storage
+  if (locationService.activeAlarms.length === 0) {
+    await locationService.loadSettings();
+    await locationService.loadAlarms();
+  }
+
+  // Only the latest fix is checked, but the track gets every one
+  locationService.recordTrack(locations.slice(0, -1));
+
+  // Same checks as the foreground watcher, so both always agree
+  const triggeredAlarms = locationService.processLocation(locations[locations.length - 1]);
+
+  // The app may be suspended again as soon as the task returns
+  await locationService.flushTracks();
+
+  if (triggeredAlarms.length === 0) {
+    return;
+  }
+
+  // Nothing left to monitor once every alarm has fired or is paused
+  if (!locationService.needsTracking()) {
+    await locationService.stopBackgroundTracking();
+  }
+});
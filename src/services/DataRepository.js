@@ -0,0 +1,643 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createTrack, appendTrackPoints } from '../utils/tracks';
+
+// Storage keys
+const SAVED_LOCATIONS_KEY = 'savedLocations';
+const SETTINGS_KEY = 'settings';
+const ALERT_PROFILES_KEY = 'alertProfiles';
+const GEOCODE_CACHE_KEY = 'geocodeCache';
+const TRIP_HISTORY_KEY = 'tripHistory';
+const TRACK_KEY_PREFIX = 'track:';
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// Bump this and add a step to MIGRATIONS whenever the stored shape changes
+export const CURRENT_SCHEMA_VERSION = 4;
+
+const DEFAULT_RADIUS = 500;
+
+// Oldest trips are dropped beyond this many
+const MAX_TRIPS = 200;
+
+/**
+ * @typedef {Object} Coordinate
+ * @property {number} latitude
+ * @property {number} longitude
+ */
+
+/**
+ * A warning that fires once when we get within a distance of the destination.
+ * @typedef {Object} PreAlertStage
+ * @property {string} id
+ * @property {number} distance Distance in meters
+ * @property {'haptic'|'notification'} type
+ */
+
+export const PRE_ALERT_TYPES = ['haptic', 'notification'];
+
+// When an alarm fires: on entering the geofence, on leaving it, or after
+// staying inside for dwellMinutes
+export const TRIGGER_TYPES = ['enter', 'exit', 'dwell'];
+
+/**
+ * A destination the user saved from the map.
+ * @typedef {Object} SavedLocation
+ * @property {string} id
+ * @property {string} name
+ * @property {string} address
+ * @property {boolean} addressPending The address is a coordinate placeholder until it can be looked up
+ * @property {number} latitude Centre of the geofence (centroid for polygons)
+ * @property {number} longitude
+ * @property {number} radius Alert radius in meters
+ * @property {'circle'|'polygon'} shape
+ * @property {Coordinate[]} [polygon] Vertices when shape is 'polygon'
+ * @property {'enter'|'exit'|'dwell'} trigger
+ * @property {number} [dwellMinutes] Time inside the geofence before a 'dwell' alarm fires
+ * @property {string|null} [alertProfileId] How the alarm goes off, null for the default profile
+ * @property {number|null} [etaMinutes] Fire this many minutes before arrival instead of at the geofence
+ * @property {PreAlertStage[]} [preAlerts] Gentle warnings before the full alarm
+ * @property {number} createdAt Timestamp in ms
+ * @property {number} updatedAt Timestamp in ms
+ */
+
+/**
+ * How an alarm gets your attention when it goes off.
+ * @typedef {Object} AlertProfile
+ * @property {string} id
+ * @property {string} name
+ * @property {'none'|'gentle'|'standard'|'intense'} vibration Vibration pattern
+ * @property {string|null} tone Id of one of the bundled tones, null for no sound
+ * @property {boolean} escalate Start quietly and get louder until dismissed
+ * @property {number} repeatSeconds Pause before the vibration and tone repeat
+ * @property {'light'|'medium'|'heavy'} haptics Strength of pre-alert nudges
+ */
+
+export const VIBRATION_STYLES = ['none', 'gentle', 'standard', 'intense'];
+export const HAPTIC_STRENGTHS = ['light', 'medium', 'heavy'];
+
+/** @type {AlertProfile[]} */
+export const DEFAULT_ALERT_PROFILES = [
+  { id: 'standard', name: 'Standard', vibration: 'standard', tone: 'classic', escalate: true, repeatSeconds: 0, haptics: 'medium' },
+  { id: 'silent', name: 'Silent vibration', vibration: 'gentle', tone: null, escalate: false, repeatSeconds: 2, haptics: 'light' },
+  { id: 'loud', name: 'Loud', vibration: 'intense', tone: 'pulse', escalate: false, repeatSeconds: 0, haptics: 'heavy' },
+];
+
+/**
+ * An alarm from arming until it was cancelled or dismissed.
+ * @typedef {Object} TripRecord
+ * @property {string} id
+ * @property {Object} destination The alarm's destination fields, enough to arm it again
+ * @property {number} startedAt Timestamp in ms
+ * @property {Coordinate|null} startPosition Null if no fix came in
+ * @property {number|null} triggeredAt When the alarm first went off, null if it never did
+ * @property {Coordinate|null} triggerPosition
+ * @property {'arrival'|'eta'|'exit'|'dwell'|null} triggeredBy
+ * @property {number} endedAt Timestamp in ms
+ * @property {'dismissed'|'cancelled'} outcome
+ * @property {number} distanceTravelled Meters
+ * @property {number} peakSpeed m/s
+ * @property {number} trackPoints Fixes recorded in the trip's track, 0 if none were
+ */
+
+/**
+ * App settings. Sound and vibration are master switches over every alert profile.
+ * @typedef {Object} Settings
+ * @property {boolean} vibrationEnabled
+ * @property {boolean} soundEnabled
+ * @property {string} defaultAlertProfileId Profile used by alarms that don't pick one
+ * @property {number} confirmationFixes Fixes in a row inside a geofence needed to trigger its alarm
+ * @property {boolean} recordTracks Store every fix received while alarms are armed, for exporting as GPX
+ */
+
+/** @type {Settings} */
+export const DEFAULT_SETTINGS = {
+  vibrationEnabled: true,
+  soundEnabled: true,
+  defaultAlertProfileId: 'standard',
+  confirmationFixes: 2,
+  recordTracks: false,
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const isValidCoordinate = (coordinate) => {
+  return Boolean(coordinate) &&
+    isFiniteNumber(coordinate.latitude) && Math.abs(coordinate.latitude) <= 90 &&
+    isFiniteNumber(coordinate.longitude) && Math.abs(coordinate.longitude) <= 180;
+};
+
+// Returns the list of problems with a location record, empty when it's valid
+export const validateLocation = (location) => {
+  const errors = [];
+
+  if (!location || typeof location !== 'object') {
+    return ['Location must be an object'];
+  }
+  if (typeof location.id !== 'string' || !location.id) {
+    errors.push('Missing id');
+  }
+  if (typeof location.name !== 'string' || !location.name.trim()) {
+    errors.push('Missing name');
+  }
+  if (!isFiniteNumber(location.latitude) || Math.abs(location.latitude) > 90) {
+    errors.push('Invalid latitude');
+  }
+  if (!isFiniteNumber(location.longitude) || Math.abs(location.longitude) > 180) {
+    errors.push('Invalid longitude');
+  }
+  if (!isFiniteNumber(location.radius) || location.radius <= 0) {
+    errors.push('Invalid radius');
+  }
+  if (location.etaMinutes != null && (!isFiniteNumber(location.etaMinutes) || location.etaMinutes <= 0)) {
+    errors.push('Invalid ETA');
+  }
+  if (location.preAlerts !== undefined) {
+    const validStages = Array.isArray(location.preAlerts) && location.preAlerts.every(stage => (
+      stage && typeof stage.id === 'string' &&
+      isFiniteNumber(stage.distance) && stage.distance > 0 &&
+      PRE_ALERT_TYPES.includes(stage.type)
+    ));
+    if (!validStages) {
+      errors.push('Invalid pre-alerts');
+    }
+  }
+  if (location.trigger !== undefined && !TRIGGER_TYPES.includes(location.trigger)) {
+    errors.push('Invalid trigger');
+  }
+  if (location.trigger === 'dwell' && (!isFiniteNumber(location.dwellMinutes) || location.dwellMinutes <= 0)) {
+    errors.push('Invalid dwell time');
+  }
+  if (location.alertProfileId != null && typeof location.alertProfileId !== 'string') {
+    errors.push('Invalid alert profile');
+  }
+  if (location.shape !== undefined && !['circle', 'polygon'].includes(location.shape)) {
+    errors.push('Invalid shape');
+  }
+  if (location.shape === 'polygon') {
+    if (!Array.isArray(location.polygon) || location.polygon.length < 3) {
+      errors.push('Polygon needs at least 3 points');
+    } else if (!location.polygon.every(isValidCoordinate)) {
+      errors.push('Invalid polygon point');
+    }
+  }
+
+  return errors;
+};
+
+// Returns the list of problems with an alert profile, empty when it's valid
+export const validateAlertProfile = (profile) => {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object') {
+    return ['Alert profile must be an object'];
+  }
+  if (typeof profile.id !== 'string' || !profile.id) {
+    errors.push('Missing id');
+  }
+  if (typeof profile.name !== 'string' || !profile.name.trim()) {
+    errors.push('Missing name');
+  }
+  if (!VIBRATION_STYLES.includes(profile.vibration)) {
+    errors.push('Invalid vibration');
+  }
+  if (profile.tone !== null && (typeof profile.tone !== 'string' || !profile.tone)) {
+    errors.push('Invalid tone');
+  }
+  if (typeof profile.escalate !== 'boolean') {
+    errors.push('Invalid escalation');
+  }
+  if (!isFiniteNumber(profile.repeatSeconds) || profile.repeatSeconds < 0) {
+    errors.push('Invalid repeat interval');
+  }
+  if (!HAPTIC_STRENGTHS.includes(profile.haptics)) {
+    errors.push('Invalid haptics');
+  }
+
+  return errors;
+};
+
+// Fill in optional fields so every record has the current shape
+const normalizeLocation = (location) => {
+  const now = Date.now();
+
+  return {
+    ...location,
+    name: location.name.trim(),
+    address: typeof location.address === 'string' ? location.address : '',
+    addressPending: location.addressPending === true,
+    shape: location.shape || 'circle',
+    trigger: location.trigger || 'enter',
+    alertProfileId: location.alertProfileId || null,
+    createdAt: isFiniteNumber(location.createdAt) ? location.createdAt : now,
+    updatedAt: isFiniteNumber(location.updatedAt) ? location.updatedAt : now,
+  };
+};
+
+const normalizeSettings = (settings) => {
+  const normalized = { ...DEFAULT_SETTINGS };
+
+  if (settings && typeof settings === 'object') {
+    Object.keys(DEFAULT_SETTINGS).forEach(key => {
+      if (typeof settings[key] === typeof DEFAULT_SETTINGS[key]) {
+        normalized[key] = settings[key];
+      }
+    });
+  }
+
+  return normalized;
+};
+
+// The stored location records the app can use. Records that don't validate
+// are skipped instead of failing the whole list, but stay in storage.
+const toSavedLocations = (records) => records
+  .filter(record => {
+    const errors = validateLocation(record);
+    if (errors.length > 0) {
+      console.warn('Skipping invalid saved location:', errors.join(', '));
+      return false;
+    }
+    return true;
+  })
+  .map(normalizeLocation);
+
+// Migration steps, keyed by the version they upgrade to. Each step receives
+// the raw stored data and returns it in the shape of that version.
+const MIGRATIONS = {
+  // Version 0 is the unversioned data written by the screens directly
+  1: ({ savedLocations, settings }) => ({
+    savedLocations: (Array.isArray(savedLocations) ? savedLocations : [])
+      .filter(Boolean)
+      .map(location => {
+        const id = location.id != null ? String(location.id) : '';
+        // Older ids are the creation timestamp
+        const createdAt = /^\d+$/.test(id) ? Number(id) : Date.now();
+
+        return {
+          ...location,
+          id,
+          latitude: Number(location.latitude),
+          longitude: Number(location.longitude),
+          radius: location.radius != null ? Number(location.radius) : DEFAULT_RADIUS,
+          createdAt,
+          updatedAt: createdAt,
+        };
+      }),
+    settings: normalizeSettings(settings),
+  }),
+  // Geofences can be polygons, so every record states its shape
+  2: ({ savedLocations, settings }) => ({
+    savedLocations: (Array.isArray(savedLocations) ? savedLocations : []).map(location => ({
+      ...location,
+      shape: location.shape || 'circle',
+    })),
+    settings: normalizeSettings(settings),
+  }),
+  // Alarms can fire on leaving or staying, so every record states its trigger
+  3: ({ savedLocations, settings }) => ({
+    savedLocations: (Array.isArray(savedLocations) ? savedLocations : []).map(location => ({
+      ...location,
+      trigger: location.trigger || 'enter',
+    })),
+    settings: normalizeSettings(settings),
+  }),
+  // The alert moves from global settings into named profiles. The tone picked
+  // in the settings becomes the tone of the Standard profile.
+  4: ({ savedLocations, settings }) => ({
+    savedLocations: Array.isArray(savedLocations) ? savedLocations : [],
+    settings: normalizeSettings(settings),
+    alertProfiles: DEFAULT_ALERT_PROFILES.map(profile => (
+      profile.id === 'standard' && typeof settings?.alarmTone === 'string'
+        ? { ...profile, tone: settings.alarmTone }
+        : profile
+    )),
+  }),
+};
+
+// Runs every migration step between two versions
+export const migrate = (data, fromVersion, toVersion = CURRENT_SCHEMA_VERSION) => {
+  let migrated = data;
+
+  for (let version = fromVersion + 1; version <= toVersion; version++) {
+    const step = MIGRATIONS[version];
+    if (!step) {
+      throw new Error(`No migration to schema version ${version}`);
+    }
+    migrated = step(migrated);
+  }
+
+  return migrated;
+};
+
+// Single access point for the data GeoWake keeps in AsyncStorage
+class DataRepository {
+  constructor() {
+    this.readyPromise = null;
+  }
+
+  // Parse a stored JSON value. A corrupted value is kept under a backup key
+  // and treated as missing, so one bad blob can't break every screen.
+  async readJson(key) {
+    const json = await AsyncStorage.getItem(key);
+    if (json == null) return null;
+
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      console.error(`Corrupted data in ${key}:`, error);
+      await AsyncStorage.setItem(`${key}_corrupted`, json);
+      await AsyncStorage.removeItem(key);
+      return null;
+    }
+  }
+
+  // Bring stored data up to the current schema version (once per app session).
+  // Until that succeeds every read and write fails, as the data isn't in the
+  // shape the rest of the app expects. The next call tries again.
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.runMigrations().catch(error => {
+        console.error('Failed to migrate stored data:', error);
+        this.readyPromise = null;
+        throw new Error('Your saved data couldn\'t be updated for this version of GeoWake. Please try again.');
+      });
+    }
+    return this.readyPromise;
+  }
+
+  async runMigrations() {
+    const storedVersion = Number(await AsyncStorage.getItem(SCHEMA_VERSION_KEY)) || 0;
+
+    if (storedVersion >= CURRENT_SCHEMA_VERSION) {
+      return;
+    }
+
+    const data = migrate(
+      {
+        savedLocations: await this.readJson(SAVED_LOCATIONS_KEY),
+        settings: await this.readJson(SETTINGS_KEY),
+        alertProfiles: await this.readJson(ALERT_PROFILES_KEY),
+      },
+      storedVersion
+    );
+
+    await AsyncStorage.multiSet([
+      [SAVED_LOCATIONS_KEY, JSON.stringify(data.savedLocations)],
+      [SETTINGS_KEY, JSON.stringify(data.settings)],
+      [ALERT_PROFILES_KEY, JSON.stringify(data.alertProfiles)],
+      [SCHEMA_VERSION_KEY, String(CURRENT_SCHEMA_VERSION)],
+    ]);
+  }
+
+  // Every stored location record, including the ones that don't validate.
+  // Changes are made to this list so a bad record is never lost by saving.
+  async readLocationRecords() {
+    await this.ready();
+
+    const records = await this.readJson(SAVED_LOCATIONS_KEY);
+    return Array.isArray(records) ? records : [];
+  }
+
+  /** @returns {Promise<SavedLocation[]>} */
+  async getSavedLocations() {
+    return toSavedLocations(await this.readLocationRecords());
+  }
+
+  /** @returns {Promise<SavedLocation|null>} */
+  async getSavedLocation(id) {
+    const locations = await this.getSavedLocations();
+    return locations.find(location => location.id === id) || null;
+  }
+
+  /**
+   * Create a location, or update the one with the same id.
+   * @returns {Promise<SavedLocation>}
+   */
+  async saveLocation(location) {
+    const record = {
+      ...location,
+      id: location.id || Date.now().toString(),
+    };
+
+    const errors = validateLocation(record);
+    if (errors.length > 0) {
+      throw new Error(`Invalid location: ${errors.join(', ')}`);
+    }
+
+    const locations = await this.readLocationRecords();
+    const index = locations.findIndex(item => item?.id === record.id);
+    const saved = normalizeLocation({
+      ...(index >= 0 ? locations[index] : {}),
+      ...record,
+      updatedAt: Date.now(),
+    });
+
+    if (index >= 0) {
+      locations[index] = saved;
+    } else {
+      locations.push(saved);
+    }
+
+    await AsyncStorage.setItem(SAVED_LOCATIONS_KEY, JSON.stringify(locations));
+    return saved;
+  }
+
+  /**
+   * Add several locations at once, such as the places in an imported file.
+   * Places without a radius get the default one.
+   * @returns {Promise<SavedLocation[]>} the added locations
+   */
+  async importLocations(places) {
+    const now = Date.now();
+    const records = places.map((place, index) => ({
+      ...place,
+      id: `${now}-${index}`,
+      radius: place.radius ?? DEFAULT_RADIUS,
+    }));
+
+    records.forEach(record => {
+      const errors = validateLocation(record);
+      if (errors.length > 0) {
+        throw new Error(`Invalid location ${record.name}: ${errors.join(', ')}`);
+      }
+    });
+
+    const added = records.map(normalizeLocation);
+    const locations = await this.readLocationRecords();
+    await AsyncStorage.setItem(SAVED_LOCATIONS_KEY, JSON.stringify([...locations, ...added]));
+    return added;
+  }
+
+  /** @returns {Promise<SavedLocation[]>} the remaining locations */
+  async deleteLocation(id) {
+    const locations = (await this.readLocationRecords()).filter(location => location?.id !== id);
+    await AsyncStorage.setItem(SAVED_LOCATIONS_KEY, JSON.stringify(locations));
+    return toSavedLocations(locations);
+  }
+
+  async clearLocations() {
+    await this.ready();
+    await AsyncStorage.setItem(SAVED_LOCATIONS_KEY, JSON.stringify([]));
+  }
+
+  /** @returns {Promise<Settings>} */
+  async getSettings() {
+    await this.ready();
+    return normalizeSettings(await this.readJson(SETTINGS_KEY));
+  }
+
+  /** @returns {Promise<Settings>} the updated settings */
+  async updateSettings(changes) {
+    const settings = normalizeSettings({ ...(await this.getSettings()), ...changes });
+    await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    return settings;
+  }
+
+  /**
+   * Reverse geocoding results by rounded coordinate. Only GeocodeService
+   * should need these.
+   * @returns {Promise<Object<string, { address: Object, cachedAt: number }>>}
+   */
+  async getGeocodeCache() {
+    const cache = await this.readJson(GEOCODE_CACHE_KEY);
+    return cache && typeof cache === 'object' && !Array.isArray(cache) ? cache : {};
+  }
+
+  async saveGeocodeCache(cache) {
+    await AsyncStorage.setItem(GEOCODE_CACHE_KEY, JSON.stringify(cache));
+  }
+
+  /** @returns {Promise<TripRecord[]>} newest first */
+  async getTrips() {
+    const trips = await this.readJson(TRIP_HISTORY_KEY);
+    if (!Array.isArray(trips)) return [];
+
+    return trips.filter(trip => trip && typeof trip.id === 'string' && trip.destination);
+  }
+
+  /** @returns {Promise<TripRecord[]>} */
+  async addTrip(trip) {
+    const allTrips = [trip, ...(await this.getTrips()).filter(item => item.id !== trip.id)];
+    const trips = allTrips.slice(0, MAX_TRIPS);
+    await AsyncStorage.setItem(TRIP_HISTORY_KEY, JSON.stringify(trips));
+
+    // Tracks go with the trips that drop off the end
+    const dropped = allTrips.slice(MAX_TRIPS).map(item => TRACK_KEY_PREFIX + item.id);
+    if (dropped.length > 0) {
+      await AsyncStorage.multiRemove(dropped);
+    }
+    return trips;
+  }
+
+  /** @returns {Promise<TripRecord[]>} the remaining trips */
+  async deleteTrip(id) {
+    const trips = (await this.getTrips()).filter(trip => trip.id !== id);
+    await AsyncStorage.setItem(TRIP_HISTORY_KEY, JSON.stringify(trips));
+    await AsyncStorage.removeItem(TRACK_KEY_PREFIX + id);
+    return trips;
+  }
+
+  async clearTrips() {
+    await AsyncStorage.setItem(TRIP_HISTORY_KEY, JSON.stringify([]));
+
+    const trackKeys = (await AsyncStorage.getAllKeys()).filter(key => key.startsWith(TRACK_KEY_PREFIX));
+    await AsyncStorage.multiRemove(trackKeys);
+  }
+
+  /** @returns {Promise<import('../utils/tracks').Track|null>} */
+  async getTrack(tripId) {
+    const track = await this.readJson(TRACK_KEY_PREFIX + tripId);
+    return track && Array.isArray(track.points) ? track : null;
+  }
+
+  // Add fixes to a trip's track, starting it if needed.
+  // Returns how many points the track has now.
+  async appendTrackPoints(tripId, startedAt, fixes) {
+    const track = appendTrackPoints((await this.getTrack(tripId)) || createTrack(startedAt), fixes);
+    await AsyncStorage.setItem(TRACK_KEY_PREFIX + tripId, JSON.stringify(track));
+    return track.points.length;
+  }
+
+  /** @returns {Promise<AlertProfile[]>} */
+  async getAlertProfiles() {
+    await this.ready();
+
+    const profiles = await this.readJson(ALERT_PROFILES_KEY);
+    if (!Array.isArray(profiles)) {
+      return DEFAULT_ALERT_PROFILES;
+    }
+
+    const validProfiles = profiles.filter(profile => {
+      const errors = validateAlertProfile(profile);
+      if (errors.length > 0) {
+        console.warn('Skipping invalid alert profile:', errors.join(', '));
+        return false;
+      }
+      return true;
+    });
+
+    // There is always at least one profile to fall back to
+    return validProfiles.length > 0 ? validProfiles : DEFAULT_ALERT_PROFILES;
+  }
+
+  /**
+   * The profile an alarm uses: its own, else the default one, else the first.
+   * @returns {Promise<AlertProfile>}
+   */
+  async getAlertProfileFor(alarm) {
+    const [profiles, settings] = await Promise.all([this.getAlertProfiles(), this.getSettings()]);
+
+    return profiles.find(profile => profile.id === alarm?.alertProfileId) ||
+      profiles.find(profile => profile.id === settings.defaultAlertProfileId) ||
+      profiles[0];
+  }
+
+  /**
+   * Create an alert profile, or update the one with the same id.
+   * @returns {Promise<AlertProfile>}
+   */
+  async saveAlertProfile(profile) {
+    const record = {
+      ...profile,
+      id: profile.id || Date.now().toString(),
+      name: typeof profile.name === 'string' ? profile.name.trim() : profile.name,
+    };
+
+    const errors = validateAlertProfile(record);
+    if (errors.length > 0) {
+      throw new Error(`Invalid alert profile: ${errors.join(', ')}`);
+    }
+
+    const profiles = await this.getAlertProfiles();
+    const index = profiles.findIndex(item => item.id === record.id);
+    const updated = index >= 0
+      ? profiles.map(item => (item.id === record.id ? record : item))
+      : [...profiles, record];
+
+    await AsyncStorage.setItem(ALERT_PROFILES_KEY, JSON.stringify(updated));
+    return record;
+  }
+
+  /**
+   * Delete an alert profile. The last one can't be deleted, and deleting the
+   * default makes the first remaining profile the default.
+   * @returns {Promise<AlertProfile[]>} the remaining profiles
+   */
+  async deleteAlertProfile(id) {
+    const profiles = (await this.getAlertProfiles()).filter(profile => profile.id !== id);
+    if (profiles.length === 0) {
+      throw new Error('Cannot delete the last alert profile');
+    }
+
+    await AsyncStorage.setItem(ALERT_PROFILES_KEY, JSON.stringify(profiles));
+
+    const settings = await this.getSettings();
+    if (settings.defaultAlertProfileId === id) {
+      await this.updateSettings({ defaultAlertProfileId: profiles[0].id });
+    }
+
+    return profiles;
+  }
+}
+
+// Create a singleton instance
+const dataRepository = new DataRepository();
+export default dataRepository;
@@ -0,0 +1,35 @@
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+// Moves files in and out of the app through the system file picker and share sheet
+class FileService {
+  // Let the user pick a file and read it as text. Resolves to null if they cancel.
+  async pickTextFile() {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: '*/*',
+      copyToCacheDirectory: true,
+      multiple: false,
+    });
+    if (result.canceled) return null;
+
+    const [asset] = result.assets;
+    const text = await FileSystem.readAsStringAsync(asset.uri);
+    return { name: asset.name, text };
+  }
+
+  // Write text to a temporary file and open the share sheet for it
+  async shareTextFile(fileName, text, mimeType) {
+    if (!(await Sharing.isAvailableAsync())) {
+      throw new Error('Sharing isn\'t available on this device');
+    }
+
+    const uri = `${FileSystem.cacheDirectory}${fileName}`;
+    await FileSystem.writeAsStringAsync(uri, text);
+    await Sharing.shareAsync(uri, { mimeType, dialogTitle: fileName });
+  }
+}
+
+// Create a singleton instance
+const fileService = new FileService();
+export default fileService;
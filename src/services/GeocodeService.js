@@ -0,0 +1,120 @@
+import * as Location from 'expo-location';
+import dataRepository from './DataRepository';
+import { formatAddress } from '../utils/placeSearch';
+
+// Results are shared by everything within about 11 m of each other
+const CACHE_PRECISION = 4;
+
+// Oldest results are dropped beyond this many
+const MAX_CACHE_ENTRIES = 200;
+
+export const getCacheKey = ({ latitude, longitude }) => {
+  return `${latitude.toFixed(CACHE_PRECISION)},${longitude.toFixed(CACHE_PRECISION)}`;
+};
+
+// Reverse geocoding with a cache on disk, so places looked up once have an
+// address with no signal and the geocoder isn't asked about the same spot twice
+class GeocodeService {
+  constructor() {
+    this.cache = null;
+    this.loadPromise = null;
+    this.resolvePromise = null;
+  }
+
+  loadCache() {
+    if (!this.loadPromise) {
+      this.loadPromise = dataRepository.getGeocodeCache()
+        .catch(error => {
+          console.error('Failed to load geocode cache:', error);
+          return {};
+        })
+        .then(cache => {
+          this.cache = cache;
+          return cache;
+        });
+    }
+    return this.loadPromise;
+  }
+
+  async storeResult(key, address) {
+    const cache = await this.loadCache();
+    cache[key] = { address, cachedAt: Date.now() };
+
+    const keys = Object.keys(cache);
+    if (keys.length > MAX_CACHE_ENTRIES) {
+      keys
+        .sort((a, b) => cache[a].cachedAt - cache[b].cachedAt)
+        .slice(0, keys.length - MAX_CACHE_ENTRIES)
+        .forEach(oldKey => delete cache[oldKey]);
+    }
+
+    try {
+      await dataRepository.saveGeocodeCache(cache);
+    } catch (error) {
+      console.error('Failed to save geocode cache:', error);
+    }
+  }
+
+  // The address at a coordinate, or null when it isn't cached and can't be
+  // looked up (usually because there's no connection)
+  async reverseGeocode(coordinate) {
+    const key = getCacheKey(coordinate);
+    const cache = await this.loadCache();
+    if (cache[key]) return cache[key].address;
+
+    try {
+      const [address] = await Location.reverseGeocodeAsync({
+        latitude: coordinate.latitude,
+        longitude: coordinate.longitude,
+      });
+      if (!address) return null;
+
+      await this.storeResult(key, address);
+      return address;
+    } catch (error) {
+      console.warn('Reverse geocoding failed:', error.message);
+      return null;
+    }
+  }
+
+  // One-line address at a coordinate, or null if there isn't one
+  async getAddressString(coordinate) {
+    return formatAddress(await this.reverseGeocode(coordinate)) || null;
+  }
+
+  // Look up the addresses of locations saved without one.
+  // Returns how many were filled in. Calls made while a run is going share it.
+  resolvePendingAddresses() {
+    if (!this.resolvePromise) {
+      this.resolvePromise = this.resolveAddresses().finally(() => {
+        this.resolvePromise = null;
+      });
+    }
+    return this.resolvePromise;
+  }
+
+  async resolveAddresses() {
+    const pending = (await dataRepository.getSavedLocations()).filter(location => location.addressPending);
+    let resolved = 0;
+
+    for (const location of pending) {
+      const address = await this.getAddressString(location);
+      if (!address) continue;
+
+      // The location may have been edited, moved or deleted during the lookup
+      const current = (await dataRepository.getSavedLocations()).find(item => item.id === location.id);
+      const unchanged = current && current.addressPending &&
+        current.latitude === location.latitude && current.longitude === location.longitude;
+      if (!unchanged) continue;
+
+      await dataRepository.saveLocation({ ...current, address, addressPending: false });
+      resolved++;
+    }
+
+    return resolved;
+  }
+}
+
+// Create a singleton instance
+const geocodeService = new GeocodeService();
+export default geocodeService;
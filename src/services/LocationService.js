@@ -1,11 +1,64 @@
 import * as Location from 'expo-location';
+import { AppState } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import notificationService from './NotificationService';
+import dataRepository, { DEFAULT_SETTINGS } from './DataRepository';
+import geocodeService from './GeocodeService';
+import { measureGeofence, calculateDistance } from '../utils/geo';
+import { estimateSpeed, estimateClosingSpeed, estimateEtaMinutes, isEtaReached, SPEED_WINDOW_MS } from '../utils/eta';
+import { selectSamplingTier, DEFAULT_SAMPLING_TIER } from '../utils/samplingPolicy';
+import { PositionFilter } from '../utils/positionFilter';
+import { updateGeofenceState, getDwellDueAt } from '../utils/geofenceState';
+import {
+  startTrip, recordTripFix, recordTripTrigger, finishTrip, getTripId, takeNewTrackFixes,
+} from '../utils/trips';
+
+// Minimum time before switching to a sparser sampling tier, so a brief slowdown
+// doesn't make us flip back and forth. Switching to a denser tier is immediate.
+const SAMPLING_DOWNGRADE_DELAY_MS = 60 * 1000;
+
+// Snooze length when none is given, or no position is known for a distance snooze
+const DEFAULT_SNOOZE_MINUTES = 5;
+
+// Name of the background task defined in BackgroundLocationTask.js
+export const BACKGROUND_LOCATION_TASK = 'geowake-background-location';
+
+// Storage key for the armed alarms, so they survive the app being killed
+const ACTIVE_ALARMS_KEY = 'activeAlarms';
+
+// Trip progress is saved at most this often between alarm changes
+const TRIP_PERSIST_INTERVAL_MS = 60 * 1000;
+
+// Events screens can subscribe to
+export const LocationEvents = {
+  POSITION: 'position',             // payload: { latitude, longitude }
+  DISTANCE: 'distance',             // payload: { alarmId, distance, eta } (km to the centre, or to the edge of a polygon; eta in minutes or null)
+  PRE_ALERT: 'preAlert',             // payload: { alarm, stage, distance }
+  ALARM_TRIGGERED: 'alarmTriggered', // payload: alarm
+  ALARMS_CHANGED: 'alarmsChanged',   // payload: array of active alarms
+  TRACKING_ERROR: 'trackingError',   // payload: Error
+};
 
 class LocationService {
   constructor() {
     this.locationSubscription = null;
     this.activeAlarms = [];
-    this.onAlarmTrigger = null;
+    this.listeners = {};
+    this.lastLocation = null;
+    this.recentFixes = [];
+    this.lastFixTimestamp = 0;
+    this.lastMeasurements = {}; // alarm id -> { distance, eta } from the last fix
+    this.distanceSamples = {}; // alarm id -> recent [{ distance, timestamp }] for the ETA
+    this.positionFilter = new PositionFilter();
+    this.confirmationFixes = DEFAULT_SETTINGS.confirmationFixes;
+    this.recordTracks = DEFAULT_SETTINGS.recordTracks;
+    this.trackBuffer = {}; // trip id -> { startedAt, fixes } not stored yet
+    this.trackWrites = Promise.resolve();
+    this.alarmTimer = null;
+    this.samplingTier = DEFAULT_SAMPLING_TIER;
+    this.samplingTierChangedAt = 0;
+    this.reconfiguringSampling = false;
+    this.tripsPersistedAt = 0;
   }
 
   // Request location permissions
@@ -57,45 +110,206 @@ class LocationService {
     }
   }
 
+  // Subscribe to a tracking event. Returns a function that removes the listener.
+  subscribe(event, listener) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = new Set();
+    }
+    this.listeners[event].add(listener);
+
+    return () => this.unsubscribe(event, listener);
+  }
+
+  // Remove a listener added with subscribe
+  unsubscribe(event, listener) {
+    if (this.listeners[event]) {
+      this.listeners[event].delete(listener);
+    }
+  }
+
+  // Notify every listener of an event
+  emit(event, payload) {
+    if (!this.listeners[event]) return;
+
+    this.listeners[event].forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Error in ${event} listener:`, error);
+      }
+    });
+  }
+
   // Start tracking location and monitoring for alarms
-  async startLocationTracking(onLocationUpdate, onAlarmTrigger) {
+  async startLocationTracking() {
     try {
-      // Store callback for alarm triggers
-      this.onAlarmTrigger = onAlarmTrigger;
-      
       // Check if we already have a subscription
       if (this.locationSubscription) {
         await this.locationSubscription.remove();
       }
       
-      // Start watching position
+      // Start watching position with the current sampling policy
+      const { accuracy, distanceInterval, timeInterval } = this.samplingTier;
       this.locationSubscription = await Location.watchPositionAsync(
-        {
-          accuracy: Location.Accuracy.Balanced,
-          distanceInterval: 10, // Update every 10 meters
-          timeInterval: 5000,   // Or every 5 seconds
-        },
-        (location) => {
-          const { latitude, longitude } = location.coords;
-          const currentLocation = { latitude, longitude };
-          
-          // Call the location update callback
-          if (onLocationUpdate) {
-            onLocationUpdate(currentLocation);
-          }
-          
-          // Check active alarms
-          this.checkAlarms(currentLocation);
-        }
+        { accuracy, distanceInterval, timeInterval },
+        (location) => this.processLocation(location)
       );
       
       return true;
     } catch (error) {
       console.error('Error starting location tracking:', error);
+      this.emit(LocationEvents.TRACKING_ERROR, error);
       return false;
     }
   }
 
+  // Handle a position fix from either the foreground watcher or the background task.
+  // Returns the alarms that were triggered by this fix.
+  processLocation(location) {
+    const { speed, accuracy } = location.coords;
+    const timestamp = location.timestamp || Date.now();
+
+    // Both sources run while an alarm is armed and can deliver the same fix.
+    // Counting it twice would confirm a geofence crossing on one reading.
+    if (timestamp <= this.lastFixTimestamp) return [];
+    this.lastFixTimestamp = timestamp;
+
+    this.recordTrack([location]);
+
+    // Smooth out GPS jitter before anything looks at the position
+    const { latitude, longitude } = this.positionFilter.process({ ...location.coords, timestamp });
+    const currentLocation = { latitude, longitude };
+
+    this.lastLocation = currentLocation;
+    this.emit(LocationEvents.POSITION, currentLocation);
+
+    // Keep the last couple of minutes of fixes for speed estimates
+    this.recentFixes = [
+      ...this.recentFixes.filter(fix => timestamp - fix.timestamp <= SPEED_WINDOW_MS),
+      { latitude, longitude, speed, timestamp },
+    ];
+
+    this.updateTrips(currentLocation, accuracy);
+
+    // Check active alarms
+    const triggeredAlarms = this.checkAlarms(currentLocation, accuracy, timestamp);
+
+    if (triggeredAlarms.length > 0 && !this.needsTracking()) {
+      this.stopTrackingWhenIdle();
+    } else {
+      this.updateSamplingPolicy(currentLocation);
+    }
+
+    return triggeredAlarms;
+  }
+
+  // Add a fix to the trip of every alarm that's still on its way
+  updateTrips(currentLocation, accuracy) {
+    const speed = estimateSpeed(this.recentFixes);
+
+    this.activeAlarms
+      .filter(alarm => !alarm.triggered && !alarm.paused)
+      .forEach(alarm => recordTripFix(alarm, currentLocation, { accuracy, speed }));
+
+    if (Date.now() - this.tripsPersistedAt >= TRIP_PERSIST_INTERVAL_MS) {
+      this.persistAlarms();
+      this.flushTracks();
+    }
+  }
+
+  // Save an alarm's trip to the history once it's over
+  async recordTrip(alarm) {
+    const trip = finishTrip(alarm);
+
+    try {
+      await this.flushTracks();
+      await dataRepository.addTrip(trip);
+    } catch (error) {
+      console.error('Error saving trip:', error);
+    }
+  }
+
+  // Keep the raw fixes (before smoothing) for the tracks of the armed alarms'
+  // trips, when track recording is on. They're stored by flushTracks.
+  recordTrack(locations) {
+    if (!this.recordTracks) return;
+
+    const fixes = locations.map(location => ({
+      latitude: location.coords.latitude,
+      longitude: location.coords.longitude,
+      accuracy: location.coords.accuracy,
+      speed: location.coords.speed,
+      timestamp: location.timestamp || Date.now(),
+    }));
+
+    this.activeAlarms.forEach(alarm => {
+      if (!alarm.trip) {
+        alarm.trip = startTrip(this.lastLocation, alarm.armedAt);
+      }
+
+      // The foreground watcher and background task can deliver the same fix
+      const newFixes = takeNewTrackFixes(alarm, fixes);
+      if (newFixes.length === 0) return;
+
+      const tripId = getTripId(alarm);
+      const buffered = this.trackBuffer[tripId] || { startedAt: alarm.trip.startedAt, fixes: [] };
+      this.trackBuffer[tripId] = { ...buffered, fixes: [...buffered.fixes, ...newFixes] };
+    });
+  }
+
+  // Store the buffered track fixes. Writes run one at a time so appends to
+  // the same track can't overwrite each other.
+  flushTracks() {
+    const buffer = this.trackBuffer;
+    this.trackBuffer = {};
+
+    this.trackWrites = this.trackWrites.then(async () => {
+      for (const [tripId, { startedAt, fixes }] of Object.entries(buffer)) {
+        try {
+          await dataRepository.appendTrackPoints(tripId, startedAt, fixes);
+        } catch (error) {
+          console.error('Error saving track:', error);
+        }
+      }
+    });
+    return this.trackWrites;
+  }
+
+  // Scale GPS accuracy and update interval to how soon the next alarm event is
+  // due, reconfiguring the running subscriptions when the tier changes
+  async updateSamplingPolicy(currentLocation) {
+    if (this.reconfiguringSampling) return;
+
+    const tier = selectSamplingTier(this.activeAlarms, currentLocation, estimateSpeed(this.recentFixes));
+    if (tier.id === this.samplingTier.id) return;
+
+    const isDowngrade = tier.timeInterval > this.samplingTier.timeInterval;
+    if (isDowngrade && Date.now() - this.samplingTierChangedAt < SAMPLING_DOWNGRADE_DELAY_MS) {
+      return;
+    }
+
+    this.reconfiguringSampling = true;
+    this.samplingTier = tier;
+    this.samplingTierChangedAt = Date.now();
+
+    try {
+      if (this.locationSubscription) {
+        await this.startLocationTracking();
+      }
+      if (await Location.hasStartedLocationUpdatesAsync(BACKGROUND_LOCATION_TASK)) {
+        await this.startBackgroundTracking({ restart: true });
+      }
+      // The last alarm may have gone off while the subscriptions restarted
+      if (!this.needsTracking()) {
+        await this.refreshTracking();
+      }
+    } catch (error) {
+      console.error('Error updating sampling policy:', error);
+    } finally {
+      this.reconfiguringSampling = false;
+    }
+  }
+
   // Stop location tracking
   async stopLocationTracking() {
     if (this.locationSubscription) {
@@ -104,6 +318,150 @@ class LocationService {
     }
   }
 
+  // Start the background location task so alarms keep firing while the app
+  // is suspended or killed. Pass restart to apply a new sampling policy.
+  async startBackgroundTracking({ restart = false } = {}) {
+    try {
+      const { status } = await Location.getBackgroundPermissionsAsync();
+      if (status !== 'granted') {
+        return false;
+      }
+
+      const started = await Location.hasStartedLocationUpdatesAsync(BACKGROUND_LOCATION_TASK);
+      if (!started || restart) {
+        // Starting an already running task updates its options
+        const { accuracy, distanceInterval, timeInterval } = this.samplingTier;
+        await Location.startLocationUpdatesAsync(BACKGROUND_LOCATION_TASK, {
+          accuracy,
+          distanceInterval,
+          timeInterval,
+          deferredUpdatesInterval: timeInterval,
+          pausesUpdatesAutomatically: false,
+          activityType: Location.ActivityType.OtherNavigation,
+          showsBackgroundLocationIndicator: true,
+          foregroundService: {
+            notificationTitle: 'GeoWake alarm is active',
+            notificationBody: 'Monitoring your location so you don\'t miss your stop',
+            notificationColor: '#1E3A8A',
+          },
+        });
+      }
+
+      return true;
+    } catch (error) {
+      console.error('Error starting background tracking:', error);
+      return false;
+    }
+  }
+
+  // Stop the background location task
+  async stopBackgroundTracking() {
+    try {
+      const started = await Location.hasStartedLocationUpdatesAsync(BACKGROUND_LOCATION_TASK);
+      if (started) {
+        await Location.stopLocationUpdatesAsync(BACKGROUND_LOCATION_TASK);
+      }
+    } catch (error) {
+      console.error('Error stopping background tracking:', error);
+    }
+  }
+
+  // Persist the active alarms, including their triggered flag and arm time
+  async persistAlarms() {
+    this.tripsPersistedAt = Date.now();
+
+    try {
+      await AsyncStorage.setItem(ACTIVE_ALARMS_KEY, JSON.stringify(this.activeAlarms));
+    } catch (error) {
+      console.error('Error saving active alarms:', error);
+    }
+  }
+
+  // Load the alarms persisted before the app was closed
+  async loadAlarms() {
+    try {
+      const alarmsJson = await AsyncStorage.getItem(ACTIVE_ALARMS_KEY);
+      this.activeAlarms = alarmsJson ? JSON.parse(alarmsJson) : [];
+    } catch (error) {
+      console.error('Error loading active alarms:', error);
+      this.activeAlarms = [];
+    }
+    return this.activeAlarms;
+  }
+
+  // Pick up the settings the alarm engine depends on
+  applySettings(settings) {
+    this.confirmationFixes = Math.max(1, Math.round(settings.confirmationFixes));
+    this.recordTracks = settings.recordTracks;
+  }
+
+  // Load the stored settings, e.g. when the background task starts the app
+  async loadSettings() {
+    try {
+      this.applySettings(await dataRepository.getSettings());
+    } catch (error) {
+      console.error('Error loading settings:', error);
+    }
+  }
+
+  // Restore persisted alarms on app launch and resume tracking them
+  async restoreAlarms() {
+    await this.loadSettings();
+
+    if (this.activeAlarms.length === 0) {
+      await this.loadAlarms();
+    }
+
+    if (this.activeAlarms.length > 0) {
+      const { foreground } = await this.checkPermissions();
+      if (foreground) {
+        await this.refreshTracking();
+      }
+      this.scheduleTimedChecks();
+      this.emit(LocationEvents.ALARMS_CHANGED, [...this.activeAlarms]);
+    }
+
+    return this.activeAlarms;
+  }
+
+  // Whether any alarm still needs location fixes. Triggered alarms don't until
+  // they're snoozed or re-armed, and paused ones until they're resumed.
+  needsTracking() {
+    return this.activeAlarms.some(alarm => !alarm.paused && !alarm.triggered);
+  }
+
+  // Start or stop tracking depending on whether any alarm still needs monitoring
+  async refreshTracking() {
+    if (this.needsTracking()) {
+      if (!this.locationSubscription) {
+        await this.startLocationTracking();
+      }
+      await this.startBackgroundTracking();
+    } else {
+      await this.stopLocationTracking();
+      await this.stopBackgroundTracking();
+    }
+
+    this.updateTrackingNotification();
+  }
+
+  // Stop the GPS once the last alarm has gone off. Called from the watcher
+  // callback and the alarm timer, which can't wait for it.
+  async stopTrackingWhenIdle() {
+    try {
+      await this.refreshTracking();
+    } catch (error) {
+      console.error('Error stopping location tracking:', error);
+    }
+  }
+
+  // Persist the alarm list and let subscribers know it changed
+  notifyAlarmsChanged() {
+    this.persistAlarms();
+    this.scheduleTimedChecks();
+    this.emit(LocationEvents.ALARMS_CHANGED, [...this.activeAlarms]);
+  }
+
   // Add an alarm to monitor
   addAlarm(alarm) {
     // Generate ID if not provided
@@ -111,73 +469,323 @@ class LocationService {
       alarm.id = Date.now().toString();
     }
     
+    if (!alarm.armedAt) {
+      alarm.armedAt = Date.now();
+    }
+    
+    // Every pre-alert stage fires once per arming
+    alarm.preAlerts = (alarm.preAlerts || []).map(stage => ({ ...stage, fired: false }));
+    
+    // Where we are relative to the geofence is worked out from the next fixes
+    alarm.insideGeofence = null;
+    alarm.pendingFixes = 0;
+    alarm.pendingEtaFixes = 0;
+    alarm.enteredAt = null;
+    alarm.snooze = null;
+    alarm.trip = startTrip(this.lastLocation, alarm.armedAt);
+    
     // Add to active alarms
     this.activeAlarms.push(alarm);
+    this.notifyAlarmsChanged();
     return alarm.id;
   }
 
-  // Remove an alarm
-  removeAlarm(alarmId) {
+  // Add an alarm if it isn't already armed and make sure tracking is running
+  async armAlarm(alarm) {
+    if (!this.getAlarm(alarm.id)) {
+      this.addAlarm(alarm);
+    }
+    await this.refreshTracking();
+    return alarm.id;
+  }
+
+  // Pause an alarm without removing it from the list
+  async pauseAlarm(alarmId) {
+    const alarm = this.getAlarm(alarmId);
+    if (!alarm) return;
+
+    alarm.paused = true;
+    this.notifyAlarmsChanged();
+    await this.refreshTracking();
+  }
+
+  // Resume a paused alarm
+  async resumeAlarm(alarmId) {
+    const alarm = this.getAlarm(alarmId);
+    if (!alarm) return;
+
+    alarm.paused = false;
+    this.notifyAlarmsChanged();
+    await this.refreshTracking();
+  }
+
+  // Silence a triggered alarm for now. It goes off again after the given
+  // minutes, or once we've moved the given distance (meters) from here.
+  async snoozeAlarm(alarmId, { minutes, distance } = {}) {
+    const alarm = this.getAlarm(alarmId);
+    if (!alarm) return;
+
+    alarm.triggered = false;
+    alarm.snooze = distance && this.lastLocation
+      ? { distance, from: this.lastLocation }
+      : { until: Date.now() + (minutes || DEFAULT_SNOOZE_MINUTES) * 60 * 1000 };
+    this.notifyAlarmsChanged();
+    await this.refreshTracking();
+  }
+
+  // Arm a triggered alarm again, e.g. to use the same destination on the way
+  // back. We keep knowing which side of the geofence we're on, so it only goes
+  // off on the next real entry or exit.
+  async rearmAlarm(alarmId) {
+    const alarm = this.getAlarm(alarmId);
+    if (!alarm) return;
+
+    // The way back is a new trip
+    this.recordTrip(alarm);
+
+    alarm.triggered = false;
+    alarm.triggeredBy = null;
+    alarm.snooze = null;
+    alarm.armedAt = Date.now();
+    alarm.preAlerts = (alarm.preAlerts || []).map(stage => ({ ...stage, fired: false }));
+    alarm.pendingFixes = 0;
+    alarm.pendingEtaFixes = 0;
+    // A dwell alarm starts counting again from now
+    alarm.enteredAt = alarm.insideGeofence ? Date.now() : null;
+    alarm.trip = startTrip(this.lastLocation, alarm.armedAt);
+    this.notifyAlarmsChanged();
+    await this.refreshTracking();
+  }
+
+  // Get an active alarm by ID
+  getAlarm(alarmId) {
+    return this.activeAlarms.find(alarm => alarm.id === alarmId) || null;
+  }
+
+  // Remove an alarm, stopping tracking once there is nothing left to monitor.
+  // Its trip goes into the history.
+  async removeAlarm(alarmId) {
+    const alarm = this.getAlarm(alarmId);
+    if (alarm) {
+      this.recordTrip(alarm);
+    }
+
     this.activeAlarms = this.activeAlarms.filter(alarm => alarm.id !== alarmId);
+    delete this.lastMeasurements[alarmId];
+    delete this.distanceSamples[alarmId];
+    this.notifyAlarmsChanged();
+    await this.refreshTracking();
   }
 
   // Clear all alarms
-  clearAlarms() {
+  async clearAlarms() {
+    this.activeAlarms.forEach(alarm => this.recordTrip(alarm));
     this.activeAlarms = [];
+    this.lastMeasurements = {};
+    this.distanceSamples = {};
+    this.notifyAlarmsChanged();
+    await this.refreshTracking();
   }
 
-  // Check if any alarms should be triggered based on current location
-  checkAlarms(currentLocation) {
+  // Check if any alarms should be triggered based on current location. Entering
+  // or leaving a geofence needs confirmationFixes precise fixes in a row, so one
+  // bad jump near the boundary doesn't set an alarm off early.
+  // Returns the alarms that were triggered by this location.
+  checkAlarms(currentLocation, accuracy = null, timestamp = Date.now()) {
+    const triggeredAlarms = [];
+    let stateChanged = false;
+
     this.activeAlarms.forEach(alarm => {
-      if (alarm.triggered) return;
+      const measurement = measureGeofence(currentLocation, alarm);
+      const { distance, edgeDistance } = measurement;
+
+      // The ETA goes by how fast we're getting closer, not how fast we're going
+      const samples = [
+        ...(this.distanceSamples[alarm.id] || []).filter(sample => timestamp - sample.timestamp <= SPEED_WINDOW_MS),
+        { distance, timestamp },
+      ];
+      this.distanceSamples[alarm.id] = samples;
+      const eta = estimateEtaMinutes(edgeDistance, estimateClosingSpeed(samples));
+
+      this.emit(LocationEvents.DISTANCE, { alarmId: alarm.id, distance, eta });
+      this.lastMeasurements[alarm.id] = { distance, eta };
+
+      if (alarm.triggered || alarm.paused) return;
       
-      const distance = this.calculateDistance(
-        currentLocation.latitude,
-        currentLocation.longitude,
-        alarm.latitude,
-        alarm.longitude
-      );
+      const transition = updateGeofenceState(alarm, measurement, {
+        accuracy,
+        confirmationFixes: this.confirmationFixes,
+        timestamp,
+      });
+      if (transition) {
+        stateChanged = true;
+      }
       
-      // Convert radius from meters to kilometers for comparison
-      if (distance <= alarm.radius / 1000) {
-        // Mark as triggered
-        alarm.triggered = true;
+      // A snoozed alarm goes off again once the snooze is over, wherever we are
+      if (alarm.snooze) {
+        if (this.isSnoozeOver(alarm, currentLocation, timestamp)) {
+          alarm.snooze = null;
+          this.triggerAlarm(alarm, alarm.triggeredBy);
+          triggeredAlarms.push(alarm);
+        }
+        return;
+      }
+      
+      let triggeredBy = null;
+      
+      if (alarm.trigger === 'exit') {
+        if (transition === 'exit') triggeredBy = 'exit';
+      } else if (alarm.trigger === 'dwell') {
+        const dueAt = getDwellDueAt(alarm);
+        if (dueAt !== null && timestamp >= dueAt) triggeredBy = 'dwell';
+      } else {
+        if (this.checkPreAlerts(alarm, distance)) {
+          stateChanged = true;
+        }
         
-        // Call the trigger callback if provided
-        if (this.onAlarmTrigger) {
-          this.onAlarmTrigger(alarm);
+        // ETA alarms fire once we're close enough in time, the geofence is the fallback
+        const etaReached = isEtaReached(alarm, eta, { accuracy, confirmationFixes: this.confirmationFixes });
+        
+        if (transition === 'enter') {
+          triggeredBy = 'arrival';
+        } else if (etaReached) {
+          triggeredBy = 'eta';
         }
       }
+      
+      if (triggeredBy) {
+        this.triggerAlarm(alarm, triggeredBy);
+        triggeredAlarms.push(alarm);
+      }
     });
+
+    this.updateTrackingNotification();
+
+    if (stateChanged || triggeredAlarms.length > 0) {
+      this.notifyAlarmsChanged();
+    }
+
+    return triggeredAlarms;
   }
 
-  // Calculate distance between two coordinates in kilometers
-  calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Radius of the earth in km
-    const dLat = this.deg2rad(lat2 - lat1);
-    const dLon = this.deg2rad(lon2 - lon1);
-    const a =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(this.deg2rad(lat1)) * Math.cos(this.deg2rad(lat2)) *
-      Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    const distance = R * c; // Distance in km
-    return distance;
+  // Keep the ongoing notification in step with the alarms still being tracked
+  updateTrackingNotification() {
+    const trackedAlarms = this.activeAlarms
+      .filter(alarm => !alarm.triggered && !alarm.paused)
+      .map(alarm => ({ alarm, ...this.lastMeasurements[alarm.id] }));
+
+    if (trackedAlarms.length > 0) {
+      notificationService.showTrackingNotification(trackedAlarms);
+    } else {
+      notificationService.hideTrackingNotification();
+    }
+  }
+
+  // Mark an alarm as triggered and let everyone know
+  triggerAlarm(alarm, triggeredBy) {
+    alarm.triggered = true;
+    alarm.triggeredBy = triggeredBy;
+    recordTripTrigger(alarm, this.lastLocation, triggeredBy);
+    this.handleAlarmTriggered(alarm);
   }
 
-  deg2rad(deg) {
-    return deg * (Math.PI / 180);
+  // Whether a snoozed alarm should go off again
+  isSnoozeOver(alarm, currentLocation, timestamp) {
+    const { until, distance, from } = alarm.snooze;
+
+    if (until) {
+      return timestamp >= until;
+    }
+
+    const moved = calculateDistance(from.latitude, from.longitude, currentLocation.latitude, currentLocation.longitude);
+    return moved * 1000 >= distance;
+  }
+
+  // When a dwell alarm or a timed snooze is due, or null
+  getTimedDueAt(alarm) {
+    if (alarm.triggered || alarm.paused) return null;
+    if (alarm.snooze) return alarm.snooze.until || null;
+    return getDwellDueAt(alarm);
+  }
+
+  // We may not get any fixes while standing still, so dwell alarms and timed
+  // snoozes are also checked on a timer set for the next one that's due
+  scheduleTimedChecks() {
+    clearTimeout(this.alarmTimer);
+    this.alarmTimer = null;
+
+    const dueTimes = this.activeAlarms
+      .map(alarm => this.getTimedDueAt(alarm))
+      .filter(dueAt => dueAt !== null);
+
+    if (dueTimes.length === 0) return;
+
+    const delay = Math.max(0, Math.min(...dueTimes) - Date.now());
+    this.alarmTimer = setTimeout(() => this.checkTimedAlarms(), delay);
+  }
+
+  // Trigger the dwell alarms and snoozes whose time is up
+  checkTimedAlarms() {
+    const now = Date.now();
+    const dueAlarms = this.activeAlarms.filter(alarm => {
+      const dueAt = this.getTimedDueAt(alarm);
+      return dueAt !== null && now >= dueAt;
+    });
+
+    if (dueAlarms.length === 0) {
+      this.scheduleTimedChecks();
+      return;
+    }
+
+    dueAlarms.forEach(alarm => {
+      const triggeredBy = alarm.snooze ? alarm.triggeredBy : 'dwell';
+      alarm.snooze = null;
+      this.triggerAlarm(alarm, triggeredBy);
+    });
+    this.notifyAlarmsChanged();
+
+    if (!this.needsTracking()) {
+      this.stopTrackingWhenIdle();
+    }
+  }
+
+  // Fire the pre-alert stages we've come within range of. If several are in
+  // range at once (e.g. the alarm was armed nearby) only the closest one goes
+  // off, but all of them are marked as fired. Returns true if any stage fired.
+  checkPreAlerts(alarm, distance) {
+    const dueStages = (alarm.preAlerts || [])
+      .filter(stage => !stage.fired && distance * 1000 <= stage.distance)
+      .sort((a, b) => a.distance - b.distance);
+
+    if (dueStages.length === 0) return false;
+
+    dueStages.forEach(stage => {
+      stage.fired = true;
+    });
+
+    const [stage] = dueStages;
+    this.emit(LocationEvents.PRE_ALERT, { alarm, stage, distance });
+
+    if (stage.type === 'notification') {
+      notificationService.showPreAlertNotification(alarm, distance);
+    }
+
+    return true;
+  }
+
+  // Let subscribers know an alarm fired. Nobody sees the in-app alert while
+  // the app is in the background, so post a notification as well.
+  handleAlarmTriggered(alarm) {
+    this.emit(LocationEvents.ALARM_TRIGGERED, alarm);
+
+    if (AppState.currentState !== 'active') {
+      notificationService.showAlarmNotification(alarm);
+    }
   }
 
   // Get reverse geocoding (address from coordinates)
   async getAddressFromCoordinates(latitude, longitude) {
-    try {
-      const [address] = await Location.reverseGeocodeAsync({ latitude, longitude });
-      return address;
-    } catch (error) {
-      console.error('Error getting address:', error);
-      return null;
-    }
+    return geocodeService.reverseGeocode({ latitude, longitude });
   }
 }
 
@@ -0,0 +1,314 @@
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import dataRepository, { DEFAULT_SETTINGS, DEFAULT_ALERT_PROFILES } from './DataRepository';
+import { formatDistance, getAlarmMessage, getTrackingMessage } from '../utils/format';
+
+// Bundled with the app by the expo-notifications plugin (see app.json)
+const ALARM_SOUND = 'alarm_classic.wav';
+const ALARM_VIBRATION_PATTERN = [500, 1000, 500, 2000];
+
+// Android channels fix their sound and vibration once created, so there is
+// one alarm channel per combination of the Sound and Vibration settings
+const ALARM_CHANNELS = {
+  'sound-vibrate': 'Arrival alarms',
+  'sound-still': 'Arrival alarms (no vibration)',
+  'silent-vibrate': 'Arrival alarms (no sound)',
+  'silent-still': 'Arrival alarms (silent)',
+};
+const PRE_ALERT_CHANNEL_ID = 'geowake-pre-alert';
+const ALARM_CATEGORY_ID = 'geowake-alarm';
+
+// The ongoing "alarm is armed" notification is replaced in place as fixes arrive
+const TRACKING_CHANNEL_ID = 'geowake-tracking';
+const TRACKING_CATEGORY_ID = 'geowake-tracking';
+const TRACKING_NOTIFICATION_ID = 'geowake-tracking';
+
+// Minimum time between updates of the tracking notification, so it isn't re-posted on every fix
+const TRACKING_UPDATE_INTERVAL_MS = 10 * 1000;
+
+// Buttons on the alarm notifications, and tapping a notification itself
+export const AlarmActions = {
+  OPEN: 'open',
+  SNOOZE: 'snooze',
+  SNOOZE_DISTANCE: 'snoozeDistance',
+  REARM: 'rearm',
+  DISMISS: 'dismiss',
+  CANCEL: 'cancel',
+};
+
+// Show notifications as banners while the app is open too, except the
+// tracking notification which would pop up on every update
+Notifications.setNotificationHandler({
+  handleNotification: async (notification) => {
+    const isTracking = notification.request.identifier === TRACKING_NOTIFICATION_ID;
+
+    return {
+      shouldShowBanner: !isTracking,
+      shouldShowList: true,
+      shouldPlaySound: !isTracking,
+      shouldSetBadge: false,
+    };
+  },
+});
+
+class NotificationService {
+  constructor() {
+    this.channelReady = false;
+    this.alarmChannels = new Set();
+    this.categoryReady = false;
+    this.trackingKey = null;
+    this.trackingUpdatedAt = 0;
+  }
+
+  // Request permission to post notifications
+  async requestPermissions() {
+    try {
+      const { status } = await Notifications.requestPermissionsAsync();
+      return status === 'granted';
+    } catch (error) {
+      console.error('Error requesting notification permissions:', error);
+      return false;
+    }
+  }
+
+  // Android needs a high importance channel for the alarm to show as a heads-up
+  // notification. Returns the id of the channel matching the settings.
+  async ensureAlarmChannel({ soundEnabled, vibrationEnabled }) {
+    const key = `${soundEnabled ? 'sound' : 'silent'}-${vibrationEnabled ? 'vibrate' : 'still'}`;
+    const channelId = `geowake-alarm-${key}`;
+
+    if (Platform.OS !== 'android' || this.alarmChannels.has(channelId)) return channelId;
+
+    await Notifications.setNotificationChannelAsync(channelId, {
+      name: ALARM_CHANNELS[key],
+      importance: Notifications.AndroidImportance.MAX,
+      sound: soundEnabled ? ALARM_SOUND : null,
+      enableVibrate: vibrationEnabled,
+      vibrationPattern: vibrationEnabled ? ALARM_VIBRATION_PATTERN : null,
+      lockscreenVisibility: Notifications.AndroidNotificationVisibility.PUBLIC,
+      bypassDnd: true,
+    });
+    this.alarmChannels.add(channelId);
+    return channelId;
+  }
+
+  // Channels for the gentler pre-alert notifications and the quiet tracking notification
+  async ensureChannel() {
+    if (Platform.OS !== 'android' || this.channelReady) return;
+
+    await Notifications.setNotificationChannelAsync(PRE_ALERT_CHANNEL_ID, {
+      name: 'Approaching destination',
+      importance: Notifications.AndroidImportance.DEFAULT,
+    });
+    await Notifications.setNotificationChannelAsync(TRACKING_CHANNEL_ID, {
+      name: 'Armed alarms',
+      importance: Notifications.AndroidImportance.LOW,
+      sound: null,
+      enableVibrate: false,
+      showBadge: false,
+    });
+    this.channelReady = true;
+  }
+
+  // Register the Snooze / Stop / Re-arm buttons shown on the arrival
+  // notification and the Cancel button on the tracking notification. Android
+  // only shows the first three buttons, so Re-arm goes last: there it's in the
+  // app, a tap on the notification away.
+  async ensureCategory() {
+    if (this.categoryReady) return;
+
+    await Notifications.setNotificationCategoryAsync(TRACKING_CATEGORY_ID, [
+      {
+        identifier: AlarmActions.CANCEL,
+        buttonTitle: 'Cancel alarm',
+        options: { opensAppToForeground: false, isDestructive: true },
+      },
+    ]);
+
+    await Notifications.setNotificationCategoryAsync(ALARM_CATEGORY_ID, [
+      {
+        identifier: AlarmActions.SNOOZE,
+        buttonTitle: 'Snooze 5 min',
+        options: { opensAppToForeground: false },
+      },
+      {
+        identifier: AlarmActions.SNOOZE_DISTANCE,
+        buttonTitle: 'Snooze 200 m',
+        options: { opensAppToForeground: false },
+      },
+      {
+        identifier: AlarmActions.DISMISS,
+        buttonTitle: 'Stop Alarm',
+        options: { opensAppToForeground: false, isDestructive: true },
+      },
+      {
+        identifier: AlarmActions.REARM,
+        buttonTitle: 'Re-arm',
+        options: { opensAppToForeground: false },
+      },
+    ]);
+    this.categoryReady = true;
+  }
+
+  // Call the listener with { alarmIds, action, notificationId } when the user
+  // taps an alarm notification or presses one of its buttons. Returns a
+  // function that removes the listener.
+  subscribeToActions(listener) {
+    const handleResponse = (response) => {
+      const { notification } = response;
+      const { alarmId, alarmIds } = notification.request.content.data || {};
+      const ids = alarmIds || (alarmId ? [alarmId] : []);
+      const action = response.actionIdentifier === Notifications.DEFAULT_ACTION_IDENTIFIER
+        ? AlarmActions.OPEN
+        : response.actionIdentifier;
+
+      if (ids.length === 0 || !Object.values(AlarmActions).includes(action)) {
+        return false;
+      }
+
+      listener({ alarmIds: ids, action, notificationId: notification.request.identifier });
+      return true;
+    };
+
+    const subscription = Notifications.addNotificationResponseReceivedListener(handleResponse);
+
+    // A button pressed while the app wasn't running is delivered on launch
+    Notifications.getLastNotificationResponseAsync()
+      .then(response => {
+        if (response && handleResponse(response)) {
+          Notifications.clearLastNotificationResponseAsync();
+        }
+      })
+      .catch(error => console.error('Error reading notification response:', error));
+
+    return () => subscription.remove();
+  }
+
+  // Remove a notification from the tray
+  async dismissNotification(notificationId) {
+    try {
+      await Notifications.dismissNotificationAsync(notificationId);
+    } catch (error) {
+      console.error('Error dismissing notification:', error);
+    }
+  }
+
+  // Remove every notification about an alarm, once it's been handled in the app
+  async dismissAlarmNotifications(alarmId) {
+    try {
+      const presented = await Notifications.getPresentedNotificationsAsync();
+      await Promise.all(presented
+        .filter(notification => notification.request.content.data?.alarmId === alarmId)
+        .map(notification => Notifications.dismissNotificationAsync(notification.request.identifier)));
+    } catch (error) {
+      console.error('Error dismissing alarm notifications:', error);
+    }
+  }
+
+  // Post the arrival notification for an alarm (used when the app is not in the
+  // foreground), with sound and vibration as set in the settings
+  async showAlarmNotification(alarm) {
+    try {
+      const { title, body } = getAlarmMessage(alarm);
+      const [settings, profile] = await Promise.all([
+        dataRepository.getSettings(),
+        dataRepository.getAlertProfileFor(alarm),
+      ]).catch(() => [DEFAULT_SETTINGS, DEFAULT_ALERT_PROFILES[0]]);
+      
+      // A silent or vibration-free profile mutes the notification too
+      const soundEnabled = settings.soundEnabled && Boolean(profile.tone);
+      const vibrationEnabled = settings.vibrationEnabled && profile.vibration !== 'none';
+      
+      const channelId = await this.ensureAlarmChannel({ soundEnabled, vibrationEnabled });
+      await this.ensureCategory();
+      await Notifications.scheduleNotificationAsync({
+        content: {
+          title,
+          body,
+          data: { alarmId: alarm.id },
+          categoryIdentifier: ALARM_CATEGORY_ID,
+          sound: soundEnabled ? ALARM_SOUND : false,
+          vibrate: vibrationEnabled ? ALARM_VIBRATION_PATTERN : [],
+          priority: Notifications.AndroidNotificationPriority.MAX,
+          interruptionLevel: 'timeSensitive',
+          // Stays until the alarm is handled, from the notification or the app
+          sticky: true,
+          autoDismiss: false,
+        },
+        trigger: Platform.OS === 'android' ? { channelId } : null,
+      });
+    } catch (error) {
+      console.error('Error showing alarm notification:', error);
+    }
+  }
+
+  // Post a gentle "getting close" notification for a pre-alert stage
+  async showPreAlertNotification(alarm, distance) {
+    try {
+      await this.ensureChannel();
+      await Notifications.scheduleNotificationAsync({
+        content: {
+          title: `Approaching ${alarm.name}`,
+          body: `About ${formatDistance(distance)} to go`,
+          data: { alarmId: alarm.id },
+        },
+        trigger: Platform.OS === 'android' ? { channelId: PRE_ALERT_CHANNEL_ID } : null,
+      });
+    } catch (error) {
+      console.error('Error showing pre-alert notification:', error);
+    }
+  }
+
+  // Show or update the ongoing notification listing the armed alarms with
+  // their live distance and ETA. entries: [{ alarm, distance, eta }]
+  async showTrackingNotification(entries) {
+    const key = entries.map(({ alarm }) => alarm.id).join(',');
+
+    // Updates are throttled, but a change in the alarms shows straight away
+    if (key === this.trackingKey && Date.now() - this.trackingUpdatedAt < TRACKING_UPDATE_INTERVAL_MS) {
+      return;
+    }
+    this.trackingKey = key;
+    this.trackingUpdatedAt = Date.now();
+
+    try {
+      const { title, body } = getTrackingMessage(entries);
+
+      await this.ensureChannel();
+      await this.ensureCategory();
+      await Notifications.scheduleNotificationAsync({
+        identifier: TRACKING_NOTIFICATION_ID,
+        content: {
+          title,
+          body,
+          data: { alarmIds: entries.map(({ alarm }) => alarm.id) },
+          categoryIdentifier: TRACKING_CATEGORY_ID,
+          sound: false,
+          sticky: true,
+          autoDismiss: false,
+          priority: Notifications.AndroidNotificationPriority.LOW,
+          interruptionLevel: 'passive',
+        },
+        trigger: Platform.OS === 'android' ? { channelId: TRACKING_CHANNEL_ID } : null,
+      });
+    } catch (error) {
+      console.error('Error showing tracking notification:', error);
+    }
+  }
+
+  // Remove the tracking notification once no alarm is being tracked
+  async hideTrackingNotification() {
+    if (this.trackingKey === null) return;
+    this.trackingKey = null;
+
+    try {
+      await Notifications.dismissNotificationAsync(TRACKING_NOTIFICATION_ID);
+    } catch (error) {
+      console.error('Error hiding tracking notification:', error);
+    }
+  }
+}
+
+// Create a singleton instance
+const notificationService = new NotificationService();
+export default notificationService;
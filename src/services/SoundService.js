@@ -0,0 +1,117 @@
+import { createAudioPlayer, setAudioModeAsync } from 'expo-audio';
+
+// Tones bundled with the app. The first one is the default.
+export const ALARM_TONES = [
+  { id: 'classic', name: 'Classic', source: require('../../assets/sounds/alarm_classic.wav') },
+  { id: 'chime', name: 'Chime', source: require('../../assets/sounds/alarm_chime.wav') },
+  { id: 'pulse', name: 'Pulse', source: require('../../assets/sounds/alarm_pulse.wav') },
+];
+
+// An escalating alarm starts quietly and gets louder every few seconds until it's stopped
+const START_VOLUME = 0.3;
+const VOLUME_STEP = 0.1;
+const VOLUME_STEP_MS = 3000;
+
+// How long a tone plays when previewed from the settings
+const PREVIEW_MS = 3000;
+
+const getTone = (toneId) => ALARM_TONES.find(tone => tone.id === toneId) || ALARM_TONES[0];
+
+// Plays the alarm tone
+class SoundService {
+  constructor() {
+    this.player = null;
+    this.escalationTimer = null;
+    this.previewTimer = null;
+    this.repeatTimer = null;
+    this.statusSubscription = null;
+    this.audioModeSet = false;
+  }
+
+  // Play through the silent switch and keep playing in the background, where the platform allows it
+  async ensureAudioMode() {
+    if (this.audioModeSet) return;
+
+    await setAudioModeAsync({
+      playsInSilentMode: true,
+      shouldPlayInBackground: true,
+      interruptionMode: 'doNotMix',
+      interruptionModeAndroid: 'doNotMix',
+    });
+    this.audioModeSet = true;
+  }
+
+  // Repeat a tone until stop is called, optionally pausing between repeats
+  // and starting quietly
+  async playAlarm(toneId, { escalate = false, repeatSeconds = 0 } = {}) {
+    await this.startTone(toneId, escalate ? START_VOLUME : 1);
+    if (!this.player) return;
+
+    if (repeatSeconds > 0) {
+      this.player.loop = false;
+      this.statusSubscription = this.player.addListener('playbackStatusUpdate', (status) => {
+        if (!status.didJustFinish) return;
+
+        this.repeatTimer = setTimeout(async () => {
+          if (!this.player) return;
+          await this.player.seekTo(0);
+          this.player.play();
+        }, repeatSeconds * 1000);
+      });
+    }
+
+    if (escalate) {
+      this.escalationTimer = setInterval(() => {
+        if (!this.player) return;
+        this.player.volume = Math.min(1, this.player.volume + VOLUME_STEP);
+      }, VOLUME_STEP_MS);
+    }
+  }
+
+  // Play a tone for a few seconds so it can be picked in the settings
+  async preview(toneId) {
+    await this.startTone(toneId, 1);
+    this.previewTimer = setTimeout(() => this.stop(), PREVIEW_MS);
+  }
+
+  async startTone(toneId, volume) {
+    this.stop();
+
+    try {
+      await this.ensureAudioMode();
+
+      this.player = createAudioPlayer(getTone(toneId).source);
+      this.player.loop = true;
+      this.player.volume = volume;
+      this.player.play();
+    } catch (error) {
+      console.error('Error playing alarm tone:', error);
+      this.stop();
+    }
+  }
+
+  // Stop whatever is playing
+  stop() {
+    clearInterval(this.escalationTimer);
+    clearTimeout(this.previewTimer);
+    clearTimeout(this.repeatTimer);
+    this.escalationTimer = null;
+    this.previewTimer = null;
+    this.repeatTimer = null;
+
+    if (this.statusSubscription) {
+      this.statusSubscription.remove();
+      this.statusSubscription = null;
+    }
+
+    if (this.player) {
+      this.player.pause();
+      this.player.remove();
+      this.player = null;
+    }
+  }
+}
+
+// Create a singleton instance
+const soundService = new SoundService();
+export default soundService;
@@ -0,0 +1,179 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import dataRepository, { CURRENT_SCHEMA_VERSION, migrate, validateLocation } from '../DataRepository';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  dataRepository.readyPromise = null;
+});
+
+it('migrates unversioned saved locations and settings', async () => {
+  await AsyncStorage.setItem('savedLocations', JSON.stringify([
+    { id: '1700000000000', name: 'Home', address: 'Main St', latitude: '51.5', longitude: -0.12, radius: 200 },
+    { id: '1700000000001', name: 'No radius', latitude: 48.85, longitude: 2.35 },
+  ]));
+  await AsyncStorage.setItem('settings', JSON.stringify({ soundEnabled: false }));
+
+  const locations = await dataRepository.getSavedLocations();
+
+  expect(locations).toHaveLength(2);
+  expect(locations[0]).toMatchObject({ latitude: 51.5, createdAt: 1700000000000, shape: 'circle', trigger: 'enter' });
+  expect(locations[1].radius).toBe(500);
+  expect(await dataRepository.getSettings()).toEqual({
+    vibrationEnabled: true,
+    soundEnabled: false,
+    defaultAlertProfileId: 'standard',
+    confirmationFixes: 2,
+    recordTracks: false,
+  });
+  expect(await AsyncStorage.getItem('schemaVersion')).toBe(String(CURRENT_SCHEMA_VERSION));
+});
+
+it('refuses to read data it failed to migrate and retries next time', async () => {
+  const unmigrated = [{ id: '1700000000000', name: 'Home', latitude: '51.5', longitude: -0.12, radius: 200 }];
+  await AsyncStorage.setItem('savedLocations', JSON.stringify(unmigrated));
+  const multiSet = AsyncStorage.multiSet.getMockImplementation();
+  AsyncStorage.multiSet.mockRejectedValue(new Error('Disk full'));
+
+  await expect(dataRepository.getSavedLocations()).rejects.toThrow('couldn\'t be updated');
+  await expect(dataRepository.saveLocation({ id: '2', name: 'Work', latitude: 48.85, longitude: 2.35, radius: 200 }))
+    .rejects.toThrow('couldn\'t be updated');
+  expect(JSON.parse(await AsyncStorage.getItem('savedLocations'))).toEqual(unmigrated);
+
+  AsyncStorage.multiSet.mockImplementation(multiSet);
+  expect(await dataRepository.getSavedLocations()).toMatchObject([{ name: 'Home', latitude: 51.5 }]);
+});
+
+it('recovers from a corrupted blob', async () => {
+  await AsyncStorage.setItem('savedLocations', '[{"id": "1", "name"');
+
+  expect(await dataRepository.getSavedLocations()).toEqual([]);
+  expect(await AsyncStorage.getItem('savedLocations_corrupted')).toBe('[{"id": "1", "name"');
+});
+
+it('updates a location saved under the same id', async () => {
+  const saved = await dataRepository.saveLocation({
+    name: 'Office',
+    latitude: 40.7,
+    longitude: -74,
+    radius: 300,
+  });
+
+  await dataRepository.saveLocation({ ...saved, name: 'New office', radius: 1000 });
+
+  const locations = await dataRepository.getSavedLocations();
+  expect(locations).toHaveLength(1);
+  expect(locations[0]).toMatchObject({ id: saved.id, name: 'New office', radius: 1000 });
+});
+
+it('rejects invalid locations', async () => {
+  expect(validateLocation({ id: '1', name: '', latitude: 91, longitude: 0, radius: 0 })).toEqual([
+    'Missing name',
+    'Invalid latitude',
+    'Invalid radius',
+  ]);
+  expect(validateLocation({
+    id: '1', name: 'Campus', latitude: 0, longitude: 0, radius: 100, shape: 'polygon', polygon: [],
+  })).toEqual(['Polygon needs at least 3 points']);
+  expect(validateLocation({
+    id: '1', name: 'Gym', latitude: 0, longitude: 0, radius: 100, trigger: 'dwell',
+  })).toEqual(['Invalid dwell time']);
+  await expect(dataRepository.saveLocation({ name: 'Nowhere' })).rejects.toThrow('Invalid location');
+});
+
+it('keeps stored locations it can\'t use when others change', async () => {
+  const broken = { id: 'broken', name: 'Old stop', latitude: 200, longitude: 0, radius: 300 };
+  await AsyncStorage.setItem('schemaVersion', String(CURRENT_SCHEMA_VERSION));
+  await AsyncStorage.setItem('savedLocations', JSON.stringify([broken]));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  await dataRepository.saveLocation({ id: '1', name: 'Work', latitude: 48.85, longitude: 2.35, radius: 200 });
+  await dataRepository.importLocations([{ name: 'Gym', latitude: 48.86, longitude: 2.36 }]);
+  expect(await dataRepository.deleteLocation('1')).toMatchObject([{ name: 'Gym' }]);
+
+  const stored = JSON.parse(await AsyncStorage.getItem('savedLocations'));
+  expect(stored[0]).toEqual(broken);
+  expect(stored).toHaveLength(2);
+  console.warn.mockRestore();
+});
+
+it('moves the alarm tone into the standard alert profile', async () => {
+  await AsyncStorage.setItem('schemaVersion', '3');
+  await AsyncStorage.setItem('settings', JSON.stringify({ soundEnabled: true, alarmTone: 'chime' }));
+
+  const profiles = await dataRepository.getAlertProfiles();
+
+  expect(profiles.find(profile => profile.id === 'standard').tone).toBe('chime');
+  expect(await dataRepository.getSettings()).not.toHaveProperty('alarmTone');
+});
+
+it('falls back to the default alert profile', async () => {
+  const night = await dataRepository.saveAlertProfile({
+    name: 'Night bus', vibration: 'intense', tone: 'pulse', escalate: true, repeatSeconds: 0, haptics: 'heavy',
+  });
+  await dataRepository.updateSettings({ defaultAlertProfileId: night.id });
+
+  expect((await dataRepository.getAlertProfileFor({ alertProfileId: 'deleted' })).id).toBe(night.id);
+  expect((await dataRepository.getAlertProfileFor({ alertProfileId: 'silent' })).id).toBe('silent');
+
+  await dataRepository.deleteAlertProfile(night.id);
+  expect((await dataRepository.getSettings()).defaultAlertProfileId).toBe('standard');
+});
+
+it('imports several locations at once with unique ids', async () => {
+  await dataRepository.saveLocation({ id: '1', name: 'Home', latitude: 51.5, longitude: -0.12, radius: 200 });
+
+  const added = await dataRepository.importLocations([
+    { name: 'Depot', address: '', latitude: 48.85, longitude: 2.35 },
+    { name: 'Site A', address: 'Gate 2', latitude: 53.79, longitude: -1.54, radius: 120 },
+  ]);
+
+  expect(added.map(location => location.radius)).toEqual([500, 120]);
+  expect(new Set(added.map(location => location.id)).size).toBe(2);
+  expect((await dataRepository.getSavedLocations()).map(location => location.name)).toEqual(['Home', 'Depot', 'Site A']);
+
+  await expect(dataRepository.importLocations([{ name: 'Nowhere', latitude: 95, longitude: 0 }]))
+    .rejects.toThrow('Invalid location Nowhere');
+  expect(await dataRepository.getSavedLocations()).toHaveLength(3);
+});
+
+it('keeps trip history newest first and capped', async () => {
+  const trip = (id) => ({ id, destination: { id: 'temp-1', name: 'Station' }, startedAt: 0, endedAt: 1, outcome: 'cancelled' });
+
+  for (let i = 0; i < 205; i++) {
+    await dataRepository.addTrip(trip(`trip-${i}`));
+  }
+
+  const trips = await dataRepository.getTrips();
+  expect(trips).toHaveLength(200);
+  expect(trips[0].id).toBe('trip-204');
+
+  expect(await dataRepository.deleteTrip('trip-204')).toHaveLength(199);
+  await dataRepository.clearTrips();
+  expect(await dataRepository.getTrips()).toEqual([]);
+});
+
+it('stores tracks alongside their trips', async () => {
+  const fix = { latitude: 51.5, longitude: -0.12, accuracy: 5, speed: 3, timestamp: 2000 };
+  const trip = { id: 'temp-1-1000', destination: { id: 'temp-1', name: 'Station' }, startedAt: 1000, endedAt: 3000, outcome: 'cancelled' };
+
+  expect(await dataRepository.appendTrackPoints(trip.id, 1000, [fix])).toBe(1);
+  expect(await dataRepository.appendTrackPoints(trip.id, 1000, [{ ...fix, timestamp: 3000 }])).toBe(2);
+  await dataRepository.addTrip(trip);
+  expect((await dataRepository.getTrack(trip.id)).points).toHaveLength(2);
+
+  await dataRepository.deleteTrip(trip.id);
+  expect(await dataRepository.getTrack(trip.id)).toBeNull();
+
+  await dataRepository.appendTrackPoints('other-1000', 1000, [fix]);
+  await dataRepository.clearTrips();
+  expect(await dataRepository.getTrack('other-1000')).toBeNull();
+});
+
+it('throws when a migration step is missing', () => {
+  expect(() => migrate({}, 0, CURRENT_SCHEMA_VERSION + 1)).toThrow('No migration');
+});
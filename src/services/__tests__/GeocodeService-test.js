@@ -0,0 +1,89 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Location from 'expo-location';
+
+import dataRepository from '../DataRepository';
+import geocodeService from '../GeocodeService';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-location', () => ({
+  reverseGeocodeAsync: jest.fn(),
+}));
+
+const bigBen = { latitude: 51.50073, longitude: -0.12463 };
+const bigBenAddress = { name: 'Big Ben', street: 'Bridge Street', city: 'London', region: null, country: 'United Kingdom' };
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  dataRepository.readyPromise = null;
+  geocodeService.cache = null;
+  geocodeService.loadPromise = null;
+  geocodeService.resolvePromise = null;
+  Location.reverseGeocodeAsync.mockReset();
+});
+
+it('caches addresses on disk by rounded coordinate', async () => {
+  Location.reverseGeocodeAsync.mockResolvedValue([bigBenAddress]);
+
+  expect(await geocodeService.getAddressString(bigBen)).toBe('Bridge Street, London, United Kingdom');
+
+  // A fresh session a few meters away is answered from disk
+  geocodeService.cache = null;
+  geocodeService.loadPromise = null;
+  Location.reverseGeocodeAsync.mockRejectedValue(new Error('Network unavailable'));
+
+  expect(await geocodeService.reverseGeocode({ latitude: 51.50074, longitude: -0.12461 })).toEqual(bigBenAddress);
+  expect(Location.reverseGeocodeAsync).toHaveBeenCalledTimes(1);
+});
+
+it('returns null rather than failing offline', async () => {
+  Location.reverseGeocodeAsync.mockRejectedValue(new Error('Network unavailable'));
+  expect(await geocodeService.getAddressString(bigBen)).toBeNull();
+
+  Location.reverseGeocodeAsync.mockResolvedValue([]);
+  expect(await geocodeService.getAddressString(bigBen)).toBeNull();
+});
+
+it('fills in addresses of locations saved offline', async () => {
+  await dataRepository.saveLocation({ id: '1', name: 'Big Ben', address: '51.50073, -0.12463', addressPending: true, ...bigBen, radius: 200 });
+  await dataRepository.saveLocation({ id: '2', name: 'Home', address: 'Main St', latitude: 48.85, longitude: 2.35, radius: 200 });
+
+  Location.reverseGeocodeAsync.mockRejectedValue(new Error('Network unavailable'));
+  expect(await geocodeService.resolvePendingAddresses()).toBe(0);
+
+  Location.reverseGeocodeAsync.mockResolvedValue([bigBenAddress]);
+  expect(await geocodeService.resolvePendingAddresses()).toBe(1);
+
+  const [filled, untouched] = await dataRepository.getSavedLocations();
+  expect(filled).toMatchObject({ address: 'Bridge Street, London, United Kingdom', addressPending: false });
+  expect(untouched.address).toBe('Main St');
+  expect(Location.reverseGeocodeAsync).toHaveBeenCalledTimes(2);
+});
+
+it('keeps changes made to a location while its address is looked up', async () => {
+  const pending = { name: 'Big Ben', address: '51.50073, -0.12463', addressPending: true, ...bigBen, radius: 200 };
+  await dataRepository.saveLocation({ id: '1', ...pending });
+  await dataRepository.saveLocation({ id: '2', ...pending, name: 'Clock' });
+
+  let answer;
+  Location.reverseGeocodeAsync.mockImplementation(() => new Promise(resolve => { answer = resolve; }));
+
+  const run = geocodeService.resolvePendingAddresses();
+  // A second run while the first is waiting on the network joins it
+  expect(geocodeService.resolvePendingAddresses()).toBe(run);
+
+  await new Promise(setImmediate);
+  await dataRepository.saveLocation({ id: '1', ...pending, name: 'Elizabeth Tower', radius: 300 });
+  await dataRepository.deleteLocation('2');
+  answer([bigBenAddress]);
+
+  expect(await run).toBe(1);
+  const locations = await dataRepository.getSavedLocations();
+  expect(locations).toHaveLength(1);
+  expect(locations[0]).toMatchObject({
+    name: 'Elizabeth Tower', radius: 300, address: 'Bridge Street, London, United Kingdom', addressPending: false,
+  });
+  expect(Location.reverseGeocodeAsync).toHaveBeenCalledTimes(1);
+});
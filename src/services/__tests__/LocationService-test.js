@@ -0,0 +1,236 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import dataRepository from '../DataRepository';
+import locationService, { LocationEvents } from '../LocationService';
+import notificationService from '../NotificationService';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('expo-location', () => ({
+  Accuracy: { Lowest: 1, Low: 2, Balanced: 3, High: 4 },
+  ActivityType: { OtherNavigation: 1 },
+  watchPositionAsync: jest.fn(async () => ({ remove: jest.fn() })),
+  getBackgroundPermissionsAsync: jest.fn(async () => ({ status: 'denied' })),
+  hasStartedLocationUpdatesAsync: jest.fn(async () => false),
+  startLocationUpdatesAsync: jest.fn(),
+  stopLocationUpdatesAsync: jest.fn(),
+}));
+
+jest.mock('../NotificationService', () => ({
+  __esModule: true,
+  default: {
+    showAlarmNotification: jest.fn(),
+    showPreAlertNotification: jest.fn(),
+    showTrackingNotification: jest.fn(),
+    hideTrackingNotification: jest.fn(),
+  },
+}));
+
+const station = { latitude: 51.5, longitude: -0.12 };
+
+// About this many meters north of the station
+const north = (meters) => ({ latitude: station.latitude + meters / 111195, longitude: station.longitude });
+
+const fix = (position, timestamp) => ({
+  coords: { ...position, accuracy: 5, speed: null },
+  timestamp,
+});
+
+let service;
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  jest.useFakeTimers({ now: 1700000000000 });
+  await AsyncStorage.clear();
+  dataRepository.readyPromise = null;
+
+  // A fresh engine for every test, with the smoothing out of the way so each
+  // fix lands exactly where it says
+  service = new locationService.constructor();
+  service.positionFilter = { process: ({ latitude, longitude }) => ({ latitude, longitude }) };
+});
+
+afterEach(() => {
+  clearTimeout(service.alarmTimer);
+  jest.useRealTimers();
+});
+
+const arm = (overrides = {}) => {
+  const alarm = { id: '1', name: 'Station', ...station, radius: 300, shape: 'circle', trigger: 'enter', ...overrides };
+  service.addAlarm(alarm);
+  return alarm;
+};
+
+it('handles a fix delivered by both the watcher and the background task once', () => {
+  const alarm = arm();
+  const start = Date.now();
+
+  service.processLocation(fix(north(2000), start));
+  service.processLocation(fix(north(100), start + 1000));
+  expect(service.processLocation(fix(north(100), start + 1000))).toEqual([]);
+  expect(alarm.pendingFixes).toBe(1);
+  expect(alarm.triggered).toBeFalsy();
+
+  expect(service.processLocation(fix(north(90), start + 2000))).toEqual([alarm]);
+  expect(alarm.triggeredBy).toBe('arrival');
+});
+
+// Feed fixes a second apart, as a watcher would
+const travel = (...positions) => positions.flatMap(position => {
+  jest.advanceTimersByTime(1000);
+  return service.processLocation(fix(position, Date.now()));
+});
+
+it('goes off again when a timed snooze runs out', async () => {
+  const alarm = arm();
+  expect(travel(north(2000), north(100), north(90))).toEqual([alarm]);
+
+  await service.snoozeAlarm('1', { minutes: 5 });
+  expect(alarm.triggered).toBe(false);
+
+  // Fixes inside the fence don't end the snooze early
+  travel(north(80));
+  jest.advanceTimersByTime(4 * 60 * 1000);
+  expect(alarm.triggered).toBe(false);
+
+  jest.advanceTimersByTime(60 * 1000);
+  expect(alarm).toMatchObject({ triggered: true, triggeredBy: 'arrival', snooze: null });
+});
+
+it('goes off again after moving the snooze distance', async () => {
+  const alarm = arm();
+  travel(north(2000), north(100), north(90));
+
+  await service.snoozeAlarm('1', { distance: 500 });
+  expect(travel(north(390))).toEqual([]);
+  expect(travel(north(700))).toEqual([alarm]);
+  expect(alarm.snooze).toBeNull();
+});
+
+it('triggers a dwell alarm on the timer while standing still', () => {
+  const alarm = arm({ trigger: 'dwell', dwellMinutes: 10 });
+  travel(north(2000), north(100), north(90));
+  expect(alarm.insideGeofence).toBe(true);
+  expect(alarm.triggered).toBeFalsy();
+
+  jest.advanceTimersByTime(10 * 60 * 1000);
+  expect(alarm).toMatchObject({ triggered: true, triggeredBy: 'dwell' });
+});
+
+it('re-arms without going off again until the next real arrival', async () => {
+  const alarm = arm();
+  travel(north(2000), north(100), north(90));
+
+  alarm.pendingFixes = 1;
+  await service.rearmAlarm('1');
+  expect(alarm).toMatchObject({
+    triggered: false, triggeredBy: null, snooze: null, pendingFixes: 0, insideGeofence: true,
+  });
+
+  // Still inside, so nothing happens
+  expect(travel(north(80), north(70), north(60))).toEqual([]);
+
+  // Leave and come back
+  expect(travel(north(1000), north(1000), north(100))).toEqual([]);
+  expect(alarm.insideGeofence).toBe(false);
+  expect(travel(north(90))).toEqual([alarm]);
+});
+
+it('forgets where it was when an alarm is armed again from scratch', async () => {
+  const alarm = arm();
+  travel(north(2000), north(100), north(90));
+  await service.removeAlarm('1');
+
+  const again = arm();
+  expect(again).not.toBe(alarm);
+  expect(again).toMatchObject({ insideGeofence: null, pendingFixes: 0, enteredAt: null, snooze: null });
+});
+
+it('goes off on the ETA once a couple of fixes agree', () => {
+  const alarm = arm({ etaMinutes: 3 });
+
+  // Closing in at 30 m/s, under 3 minutes out from the second fix
+  expect(travel(north(5000), north(4970))).toEqual([]);
+  expect(travel(north(4940))).toEqual([alarm]);
+  expect(alarm.triggeredBy).toBe('eta');
+});
+
+it('doesn\'t go off on the ETA when passing close by on the way out', () => {
+  const alarm = arm({ etaMinutes: 3 });
+
+  expect(travel(north(400), north(430), north(460), north(490))).toEqual([]);
+  expect(alarm.triggered).toBeFalsy();
+});
+
+it('keeps the tracking notification up to date until the alarm goes off', () => {
+  const alarm = arm();
+
+  travel(north(2000), north(1500));
+  expect(notificationService.showTrackingNotification).toHaveBeenLastCalledWith([
+    expect.objectContaining({ alarm, distance: expect.closeTo(1.5, 2) }),
+  ]);
+
+  travel(north(100), north(90));
+  expect(notificationService.hideTrackingNotification).toHaveBeenCalled();
+});
+
+it('stops watching once every alarm has gone off and starts again on snooze', async () => {
+  await service.armAlarm({ id: '1', name: 'Station', ...station, radius: 300, shape: 'circle', trigger: 'enter' });
+  expect(service.locationSubscription).not.toBeNull();
+
+  travel(north(2000), north(100), north(90));
+  await jest.advanceTimersByTimeAsync(0);
+  expect(service.locationSubscription).toBeNull();
+
+  await service.snoozeAlarm('1', { distance: 500 });
+  expect(service.locationSubscription).not.toBeNull();
+});
+
+describe('pre-alerts', () => {
+  const preAlerts = [
+    { id: 'near', distance: 500, type: 'haptic' },
+    { id: 'far', distance: 2000, type: 'notification' },
+    { id: 'mid', distance: 1000, type: 'haptic' },
+  ];
+
+  const listenForPreAlerts = () => {
+    const fired = [];
+    service.subscribe(LocationEvents.PRE_ALERT, ({ stage }) => fired.push(stage.id));
+    return fired;
+  };
+
+  it('fires each stage once, from farthest to nearest', () => {
+    arm({ preAlerts });
+    const fired = listenForPreAlerts();
+
+    travel(north(3000), north(1900), north(1800), north(900), north(950), north(450), north(400));
+
+    expect(fired).toEqual(['far', 'mid', 'near']);
+    expect(notificationService.showPreAlertNotification).toHaveBeenCalledTimes(1);
+  });
+
+  it('only fires the closest stage when several come into range at once', () => {
+    const alarm = arm({ preAlerts });
+    const fired = listenForPreAlerts();
+
+    travel(north(3000), north(800), north(400));
+
+    expect(fired).toEqual(['mid', 'near']);
+    expect(alarm.preAlerts.every(stage => stage.fired)).toBe(true);
+  });
+
+  it('resets every stage on re-arm', async () => {
+    const alarm = arm({ preAlerts });
+    travel(north(3000), north(1500), north(100), north(90));
+    expect(alarm.triggered).toBe(true);
+
+    await service.rearmAlarm('1');
+    expect(alarm.preAlerts.map(stage => stage.fired)).toEqual([false, false, false]);
+
+    const fired = listenForPreAlerts();
+    travel(north(3000), north(3000), north(1500));
+    expect(fired).toEqual(['far']);
+  });
+});
@@ -0,0 +1,55 @@
+import { getAlarmLinkParams, parseAlarmLinkParams } from '../alarmLinks';
+
+const station = {
+  id: '1', name: 'Central Station', latitude: 55.8609123456, longitude: -4.2514, radius: 300, shape: 'circle', trigger: 'enter',
+};
+
+it('round-trips a location through link parameters', () => {
+  const params = getAlarmLinkParams(station);
+  expect(params).toEqual({ name: 'Central Station', lat: '55.860912', lng: '-4.2514', radius: '300' });
+
+  expect(parseAlarmLinkParams(params)).toEqual({
+    screen: 'Map',
+    destination: {
+      name: 'Central Station', latitude: 55.860912, longitude: -4.2514, radius: 300, shape: 'circle', trigger: 'enter', dwellMinutes: null,
+    },
+  });
+});
+
+it('carries triggers, polygons and opening the alarm straight away', () => {
+  const area = {
+    name: 'Park',
+    shape: 'polygon',
+    trigger: 'dwell',
+    dwellMinutes: 15,
+    polygon: [
+      { latitude: 51.5, longitude: -0.13 },
+      { latitude: 51.5, longitude: -0.12 },
+      { latitude: 51.51, longitude: -0.12 },
+    ],
+  };
+
+  const { screen, destination } = parseAlarmLinkParams(getAlarmLinkParams(area, { open: 'alarm' }));
+  expect(screen).toBe('Alarm');
+  expect(destination).toMatchObject({ shape: 'polygon', polygon: area.polygon, trigger: 'dwell', dwellMinutes: 15 });
+  expect(destination.radius).toBeGreaterThan(0);
+});
+
+it('fills in a missing name', () => {
+  expect(parseAlarmLinkParams({ lat: '51.5', lng: '-0.12', radius: '200' }).destination.name).toBe('Shared location');
+});
+
+it('rejects malformed links', () => {
+  const valid = { name: 'X', lat: '51.5', lng: '-0.12', radius: '200' };
+
+  expect(() => parseAlarmLinkParams({})).toThrow('invalid latitude');
+  expect(() => parseAlarmLinkParams(undefined)).toThrow('invalid latitude');
+  expect(() => parseAlarmLinkParams({ ...valid, lat: 'abc' })).toThrow('invalid latitude');
+  expect(() => parseAlarmLinkParams({ ...valid, lng: '200' })).toThrow('invalid longitude');
+  expect(() => parseAlarmLinkParams({ ...valid, radius: '' })).toThrow('invalid radius');
+  expect(() => parseAlarmLinkParams({ ...valid, radius: '1e9' })).toThrow('invalid radius');
+  expect(() => parseAlarmLinkParams({ ...valid, trigger: 'teleport' })).toThrow('invalid trigger');
+  expect(() => parseAlarmLinkParams({ ...valid, trigger: 'dwell' })).toThrow('invalid dwell time');
+  expect(() => parseAlarmLinkParams({ polygon: '51.5,-0.13;51.5,-0.12' })).toThrow('invalid polygon');
+  expect(() => parseAlarmLinkParams({ polygon: '51.5,-0.13;51.5,x;51.51,-0.12' })).toThrow('invalid polygon');
+});
@@ -0,0 +1,90 @@
+import { parseLocationInput, getPlusCodeLocality } from '../coordinates';
+
+const expectNear = (result, latitude, longitude, digits = 5) => {
+  expect(result.latitude).toBeCloseTo(latitude, digits);
+  expect(result.longitude).toBeCloseTo(longitude, digits);
+};
+
+it('parses decimal coordinates', () => {
+  expectNear(parseLocationInput('51.5074, -0.1278'), 51.5074, -0.1278);
+  expectNear(parseLocationInput('  -33.8568 151.2153 '), -33.8568, 151.2153);
+  expectNear(parseLocationInput('51.5074 N, 0.1278 W'), 51.5074, -0.1278);
+  expect(parseLocationInput('51.5074,-0.1278').format).toBe('decimal');
+});
+
+it('parses degrees, minutes and seconds', () => {
+  const result = parseLocationInput('51°30\'26.6"N 0°07\'40.1"W');
+  expectNear(result, 51.507389, -0.127806);
+  expect(result.format).toBe('dms');
+
+  expectNear(parseLocationInput('N 51 30.443 W 0 7.668'), 51.507383, -0.1278);
+  expectNear(parseLocationInput('33° 51′ 24.5″ S, 151° 12′ 55.1″ E'), -33.856806, 151.215306);
+  // Longitude first is fine when the hemispheres say so
+  expectNear(parseLocationInput('0°07\'40.1"W 51°30\'26.6"N'), 51.507389, -0.127806);
+});
+
+it('rejects coordinates out of range or malformed', () => {
+  expect(() => parseLocationInput('91, 0')).toThrow('Latitude');
+  expect(() => parseLocationInput('45, 181')).toThrow('Longitude');
+  expect(() => parseLocationInput('51°75\'N 0°07\'W')).toThrow('Enter coordinates');
+  expect(() => parseLocationInput('51.5 N 0.1 N')).toThrow('Enter coordinates');
+  expect(() => parseLocationInput('somewhere nice')).toThrow('Enter coordinates');
+  expect(() => parseLocationInput('')).toThrow('Enter coordinates');
+});
+
+it('decodes full Plus Codes', () => {
+  const result = parseLocationInput('8FVC9G8F+6X');
+  expectNear(result, 47.3655625, 8.5249375);
+  expect(result.format).toBe('pluscode');
+
+  expectNear(parseLocationInput('8fvc9g8f+6x'), 47.3655625, 8.5249375);
+  expectNear(parseLocationInput('8FVC0000+'), 47.5, 8.5);
+  expect(() => parseLocationInput('8FVC9G8F+6')).toThrow('Plus Code');
+  expect(() => parseLocationInput('8FV09G8F+6X')).toThrow('Plus Code');
+});
+
+it('recovers short Plus Codes around a reference point', () => {
+  expectNear(parseLocationInput('9G8F+6X', { reference: { latitude: 47.4, longitude: 8.6 } }), 47.3655625, 8.5249375);
+  // The nearest match can be in the neighbouring cell
+  expectNear(parseLocationInput('9G8F+6X', { reference: { latitude: 47.9, longitude: 8.6 } }), 48.3655625, 8.5249375);
+  expect(() => parseLocationInput('9G8F+6X')).toThrow('Short Plus Codes');
+});
+
+it('finds the town after a short Plus Code', () => {
+  expect(getPlusCodeLocality('CWC8+R9 Mountain View, CA')).toBe('Mountain View, CA');
+  expect(getPlusCodeLocality('CWC8+R9')).toBeNull();
+  expect(getPlusCodeLocality('849VCWC8+R9 Mountain View')).toBeNull();
+});
+
+it('reads Google Maps links', () => {
+  const place = parseLocationInput(
+    'https://www.google.com/maps/place/Big+Ben/@51.5007292,-0.1268003,17z/data=!3m1!4b1!4m6!3m5!1s0x0:0x0!8m2!3d51.5007292!4d-0.1246254'
+  );
+  // The place pin wins over the middle of the view
+  expectNear(place, 51.5007292, -0.1246254);
+  expect(place.label).toBe('Big Ben');
+  expect(place.format).toBe('url');
+
+  expectNear(parseLocationInput('https://www.google.com/maps/search/?api=1&query=47.5951518%2C-122.3316393'), 47.5951518, -122.3316393);
+  expectNear(parseLocationInput('https://maps.google.com/?q=51.5,-0.12'), 51.5, -0.12);
+  expectNear(parseLocationInput('https://www.google.com/maps/@51.5,-0.12,15z'), 51.5, -0.12);
+});
+
+it('reads Apple Maps and OpenStreetMap links and geo URIs', () => {
+  const apple = parseLocationInput('https://maps.apple.com/?ll=51.5,-0.12&q=Work');
+  expectNear(apple, 51.5, -0.12);
+  expect(apple.label).toBe('Work');
+
+  expectNear(parseLocationInput('https://maps.apple.com/place?coordinate=48.8584,2.2945&name=Eiffel%20Tower'), 48.8584, 2.2945);
+  expectNear(parseLocationInput('https://www.openstreetmap.org/?mlat=51.5&mlon=-0.12#map=15/51.6/-0.2'), 51.5, -0.12);
+  expectNear(parseLocationInput('https://www.openstreetmap.org/#map=15/51.6/-0.2'), 51.6, -0.2);
+  expectNear(parseLocationInput('openstreetmap.org/#map=15/51.6/-0.2'), 51.6, -0.2);
+  expectNear(parseLocationInput('geo:51.5,-0.12'), 51.5, -0.12);
+  expectNear(parseLocationInput('geo:0,0?q=51.5,-0.12(Home)'), 51.5, -0.12);
+});
+
+it('explains links it can\'t read', () => {
+  expect(() => parseLocationInput('https://maps.app.goo.gl/abc123')).toThrow('Short links');
+  expect(() => parseLocationInput('https://www.google.com/maps/search/coffee')).toThrow('doesn\'t include coordinates');
+  expect(() => parseLocationInput('https://maps.google.com/?q=91,0')).toThrow('Latitude');
+});
@@ -0,0 +1,73 @@
+import { estimateSpeed, estimateClosingSpeed, estimateEtaMinutes, isEtaReached, SPEED_WINDOW_MS } from '../eta';
+
+// Fixes heading north, the given number of meters from the start after the given seconds
+const fixAt = (meters, seconds, speed = null) => ({
+  latitude: 51.5 + meters / 111195, longitude: -0.12, timestamp: 1700000000000 + seconds * 1000, speed,
+});
+
+it('prefers the speed reported by the GPS', () => {
+  expect(estimateSpeed([fixAt(0, 0, 10), fixAt(0, 5, 14)])).toBe(12);
+  // Negative speeds mean the GPS didn't know
+  expect(estimateSpeed([fixAt(0, 0, -1), fixAt(0, 5, 8)])).toBe(8);
+});
+
+it('works out the speed from distance over time without reported speeds', () => {
+  expect(estimateSpeed([fixAt(0, 0), fixAt(100, 10), fixAt(200, 20)])).toBeCloseTo(10, 1);
+});
+
+it('has no estimate from a single fix or none', () => {
+  expect(estimateSpeed([])).toBeNull();
+  expect(estimateSpeed([fixAt(0, 0)])).toBeNull();
+  expect(estimateSpeed([fixAt(0, 0, 7)])).toBe(7);
+});
+
+it('reads a stationary user as not moving and has no ETA for them', () => {
+  const speed = estimateSpeed([fixAt(0, 0), fixAt(0, 30), fixAt(0, 60)]);
+  expect(speed).toBe(0);
+  expect(estimateEtaMinutes(2, speed)).toBeNull();
+  expect(estimateEtaMinutes(2, 0.5)).toBeNull();
+  expect(estimateEtaMinutes(2, null)).toBeNull();
+});
+
+it('ignores fixes from before the speed window', () => {
+  const windowSeconds = SPEED_WINDOW_MS / 1000;
+  // A fast stretch long ago, then walking pace
+  const fixes = [fixAt(0, 0, 30), fixAt(3000, 100, 30), fixAt(3000, 100 + windowSeconds + 1, 1.5)];
+  expect(estimateSpeed(fixes)).toBe(1.5);
+
+  // Only one fix in the window and no reported speed
+  expect(estimateSpeed([fixAt(0, 0), fixAt(500, windowSeconds + 60)])).toBeNull();
+});
+
+it('estimates minutes to cover the remaining distance', () => {
+  expect(estimateEtaMinutes(3, 10)).toBe(5);
+  expect(estimateEtaMinutes(-0.2, 10)).toBe(0);
+});
+
+// Distance (km) to a destination after the given seconds
+const sampleAt = (distance, seconds) => ({ distance, timestamp: 1700000000000 + seconds * 1000 });
+
+it('works out how fast the destination is getting closer', () => {
+  expect(estimateClosingSpeed([sampleAt(5, 0), sampleAt(4.7, 10), sampleAt(4.4, 20)])).toBeCloseTo(30);
+  // Moving away
+  expect(estimateClosingSpeed([sampleAt(0.4, 0), sampleAt(0.7, 10)])).toBeCloseTo(-30);
+  expect(estimateClosingSpeed([sampleAt(5, 0)])).toBeNull();
+  // Only samples within the window count
+  expect(estimateClosingSpeed([sampleAt(9, 0), sampleAt(5, 200), sampleAt(4.7, 210)])).toBeCloseTo(30);
+});
+
+it('needs several precise fixes within the ETA before it is reached', () => {
+  const alarm = { radius: 300, etaMinutes: 5 };
+  const options = { accuracy: 10, confirmationFixes: 2 };
+
+  expect(isEtaReached(alarm, 4, options)).toBe(false);
+  // An imprecise fix neither counts nor breaks the streak
+  expect(isEtaReached(alarm, 4, { ...options, accuracy: 500 })).toBe(false);
+  expect(isEtaReached(alarm, 4, options)).toBe(true);
+
+  alarm.pendingEtaFixes = 0;
+  expect(isEtaReached(alarm, 4, options)).toBe(false);
+  expect(isEtaReached(alarm, null, options)).toBe(false);
+  expect(isEtaReached(alarm, 4, options)).toBe(false);
+  expect(isEtaReached({ radius: 300 }, 0, options)).toBe(false);
+});
@@ -0,0 +1,45 @@
+import { calculateDistance, destinationPoint, isPointInPolygon, measureGeofence } from '../geo';
+
+// Roughly 1km x 1km square in central London
+const square = [
+  { latitude: 51.5, longitude: -0.13 },
+  { latitude: 51.5, longitude: -0.1156 },
+  { latitude: 51.509, longitude: -0.1156 },
+  { latitude: 51.509, longitude: -0.13 },
+];
+
+it('calculates haversine distances in km', () => {
+  // One degree of latitude is about 111km
+  expect(calculateDistance(0, 0, 1, 0)).toBeCloseTo(111.19, 1);
+});
+
+it('finds the point at a distance and bearing', () => {
+  const center = { latitude: 51.5, longitude: -0.12 };
+  const point = destinationPoint(center, 90, 500);
+
+  expect(calculateDistance(center.latitude, center.longitude, point.latitude, point.longitude)).toBeCloseTo(0.5, 3);
+  expect(point.longitude).toBeGreaterThan(center.longitude);
+});
+
+it('tests points against a polygon', () => {
+  expect(isPointInPolygon({ latitude: 51.504, longitude: -0.12 }, square)).toBe(true);
+  expect(isPointInPolygon({ latitude: 51.52, longitude: -0.12 }, square)).toBe(false);
+});
+
+it('measures circle and polygon geofences', () => {
+  const circle = { latitude: 51.5, longitude: -0.12, radius: 200 };
+  expect(measureGeofence({ latitude: 51.501, longitude: -0.12 }, circle).inside).toBe(true);
+  expect(measureGeofence({ latitude: 51.51, longitude: -0.12 }, circle).inside).toBe(false);
+
+  const polygon = { shape: 'polygon', polygon: square, latitude: 51.5045, longitude: -0.1228, radius: 700 };
+  expect(measureGeofence({ latitude: 51.504, longitude: -0.12 }, polygon)).toEqual({
+    inside: true,
+    distance: 0,
+    edgeDistance: 0,
+  });
+
+  // About 1.1km north of the top edge
+  const outside = measureGeofence({ latitude: 51.519, longitude: -0.12 }, polygon);
+  expect(outside.inside).toBe(false);
+  expect(outside.distance).toBeCloseTo(1.11, 1);
+});
@@ -0,0 +1,50 @@
+import { updateGeofenceState, getDwellDueAt } from '../geofenceState';
+
+const fence = { id: '1', latitude: 51.5, longitude: -0.12, radius: 100 };
+const options = { accuracy: 10, confirmationFixes: 2, timestamp: 1000 };
+
+const INSIDE = { inside: true, edgeDistance: 0 };
+const ON_EDGE = { inside: false, edgeDistance: 0.01 };
+const OUTSIDE = { inside: false, edgeDistance: 0.2 };
+
+it('enters after enough fixes in a row', () => {
+  const alarm = { ...fence };
+
+  expect(updateGeofenceState(alarm, INSIDE, options)).toBeNull();
+  expect(updateGeofenceState(alarm, INSIDE, options)).toBe('enter');
+  expect(alarm).toMatchObject({ insideGeofence: true, enteredAt: 1000 });
+});
+
+it('starts outside without an exit', () => {
+  const alarm = { ...fence };
+
+  expect(updateGeofenceState(alarm, OUTSIDE, options)).toBeNull();
+  expect(alarm.insideGeofence).toBe(false);
+});
+
+it('ignores fixes bouncing on the boundary', () => {
+  const alarm = { ...fence, insideGeofence: true, enteredAt: 0 };
+
+  [ON_EDGE, INSIDE, ON_EDGE, OUTSIDE, ON_EDGE, OUTSIDE, INSIDE].forEach(measurement => {
+    expect(updateGeofenceState(alarm, measurement, options)).toBeNull();
+  });
+  expect(alarm.insideGeofence).toBe(true);
+
+  updateGeofenceState(alarm, OUTSIDE, options);
+  expect(updateGeofenceState(alarm, OUTSIDE, options)).toBe('exit');
+});
+
+it('does not count imprecise fixes', () => {
+  const alarm = { ...fence };
+
+  updateGeofenceState(alarm, INSIDE, options);
+  expect(updateGeofenceState(alarm, INSIDE, { ...options, accuracy: 500 })).toBeNull();
+  expect(updateGeofenceState(alarm, INSIDE, options)).toBe('enter');
+});
+
+it('knows when a dwell alarm is due', () => {
+  const alarm = { ...fence, trigger: 'dwell', dwellMinutes: 10, insideGeofence: true, enteredAt: 1000 };
+
+  expect(getDwellDueAt(alarm)).toBe(1000 + 10 * 60 * 1000);
+  expect(getDwellDueAt({ ...alarm, insideGeofence: false })).toBeNull();
+});
@@ -0,0 +1,151 @@
+import { exportLocations, exportTripGpx, parseLocationFile, findDuplicate, detectFormat } from '../locationFiles';
+
+const saved = [
+  {
+    id: '1', name: 'King\'s Cross <Platform 9¾>', address: 'Euston Road, London & more',
+    latitude: 51.5308, longitude: -0.1238, radius: 250, shape: 'circle',
+  },
+  {
+    id: '2', name: 'Office Park', address: '', addressPending: true,
+    latitude: 51.5045, longitude: -0.1278, radius: 700, shape: 'polygon',
+    polygon: [
+      { latitude: 51.5, longitude: -0.13 },
+      { latitude: 51.5, longitude: -0.1256 },
+      { latitude: 51.509, longitude: -0.1256 },
+      { latitude: 51.509, longitude: -0.13 },
+    ],
+  },
+];
+
+it.each(['gpx', 'kml', 'geojson'])('round-trips names and radii through %s', (format) => {
+  const { places, skipped } = parseLocationFile(exportLocations(saved, format), `export.${format}`);
+
+  expect(skipped).toBe(0);
+  expect(places).toHaveLength(2);
+  expect(places[0]).toMatchObject({
+    name: saved[0].name,
+    address: saved[0].address,
+    latitude: saved[0].latitude,
+    longitude: saved[0].longitude,
+    radius: 250,
+    shape: 'circle',
+  });
+  expect(places[1].name).toBe('Office Park');
+  expect(places[1].address).toBe('');
+});
+
+it('keeps polygons in KML and GeoJSON and writes their enclosing circle to GPX', () => {
+  ['kml', 'geojson'].forEach(format => {
+    const [, area] = parseLocationFile(exportLocations(saved, format), `export.${format}`).places;
+    expect(area.shape).toBe('polygon');
+    expect(area.polygon).toEqual(saved[1].polygon);
+  });
+
+  const [, waypoint] = parseLocationFile(exportLocations(saved, 'gpx'), 'export.gpx').places;
+  expect(waypoint).toMatchObject({ shape: 'circle', latitude: 51.5045, longitude: -0.1278, radius: 700 });
+});
+
+it('reads files from other tools', () => {
+  const gpx = `<?xml version="1.0"?>
+    <gpx xmlns="http://www.topografix.com/GPX/1/1">
+      <wpt lat='55.8609' lon='-4.2514'><name><![CDATA[Central Station]]></name><cmt>Gordon St</cmt></wpt>
+      <wpt lat="95" lon="0"><name>Bad</name></wpt>
+      <trk><name>Not a place</name></trk>
+    </gpx>`;
+  expect(parseLocationFile(gpx, 'stations.gpx')).toEqual({
+    format: 'gpx',
+    places: [{ name: 'Central Station', address: 'Gordon St', latitude: 55.8609, longitude: -4.2514, radius: undefined, shape: 'circle' }],
+    skipped: 1,
+    repeated: 0,
+  });
+
+  const kml = `<kml xmlns="http://www.opengis.net/kml/2.2"><Document><Folder>
+      <Placemark><name>Site A</name><description><![CDATA[<b>Gate 2</b>]]></description>
+        <ExtendedData><SchemaData><SimpleData name="Radius">120</SimpleData></SchemaData></ExtendedData>
+        <Point><coordinates>-1.54,53.79,0</coordinates></Point></Placemark>
+      <Placemark><name>Road</name><LineString><coordinates>0,0 1,1</coordinates></LineString></Placemark>
+    </Folder></Document></kml>`;
+  const fromKml = parseLocationFile(kml, 'sites.kml');
+  expect(fromKml.places).toEqual([
+    { name: 'Site A', address: 'Gate 2', latitude: 53.79, longitude: -1.54, radius: 120, shape: 'circle' },
+  ]);
+  expect(fromKml.skipped).toBe(1);
+
+  const geoJson = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { title: 'Depot', radius: '300' }, geometry: { type: 'Point', coordinates: [2.35, 48.85] } },
+      { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [2.36, 48.86] } },
+      { type: 'Feature', properties: { name: 'Route' }, geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } },
+    ],
+  });
+  const fromGeoJson = parseLocationFile(geoJson, 'depots.json');
+  expect(fromGeoJson.places.map(place => [place.name, place.radius])).toEqual([
+    ['Depot', 300],
+    ['Imported location 2', undefined],
+  ]);
+  expect(fromGeoJson.skipped).toBe(1);
+});
+
+it('reads a place listed twice in a file once', () => {
+  const kml = `<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+      <Folder><Placemark><name>Depot</name><Point><coordinates>2.35,48.85</coordinates></Point></Placemark></Folder>
+      <Folder><Placemark><name>Depot</name><Point><coordinates>2.3502,48.8501</coordinates></Point></Placemark></Folder>
+      <Placemark><name>Depot North</name><Point><coordinates>2.35,48.86</coordinates></Point></Placemark>
+    </Document></kml>`;
+
+  const { places, repeated } = parseLocationFile(kml, 'depots.kml');
+  expect(places.map(place => place.name)).toEqual(['Depot', 'Depot North']);
+  expect(repeated).toBe(1);
+});
+
+it('works out the format from the content when the name doesn\'t say', () => {
+  expect(detectFormat('<?xml version="1.0"?><gpx version="1.1">', 'download')).toBe('gpx');
+  expect(detectFormat('  {"type": "FeatureCollection"}', '')).toBe('geojson');
+  expect(() => detectFormat('PK...', 'places.kmz')).toThrow('KMZ');
+  expect(() => detectFormat('name,lat,lon', 'places.csv')).toThrow('GPX, KML or GeoJSON');
+  expect(() => parseLocationFile('{ not json', 'places.geojson')).toThrow('GeoJSON');
+});
+
+it('spots near-duplicates of saved locations', () => {
+  const place = (name, latitude, longitude) => ({ name, latitude, longitude, shape: 'circle' });
+
+  // A few meters away, whatever it's called
+  expect(findDuplicate(place('Kings Cross', 51.5309, -0.1239), saved)).toBe(saved[0]);
+  // Further away but with the same name
+  expect(findDuplicate(place('office park', 51.51, -0.13), saved)).toBe(saved[1]);
+  // Same name, different town
+  expect(findDuplicate(place('Office Park', 53.79, -1.54), saved)).toBeNull();
+  expect(findDuplicate(place('Somewhere', 51.52, -0.1), saved)).toBeNull();
+});
+
+it('writes a trip track with the geofence and trigger point as waypoints', () => {
+  const trip = {
+    id: '1-1000',
+    destination: saved[0],
+    startedAt: Date.UTC(2024, 0, 5, 7, 30),
+    startPosition: { latitude: 51.52, longitude: -0.1 },
+    triggeredAt: Date.UTC(2024, 0, 5, 7, 52),
+    triggerPosition: { latitude: 51.5302, longitude: -0.1225 },
+    triggeredBy: 'arrival',
+  };
+  const gpx = exportTripGpx(trip, [
+    { latitude: 51.52, longitude: -0.1, accuracy: 12, speed: 9.5, timestamp: Date.UTC(2024, 0, 5, 7, 30, 4) },
+    { latitude: 51.521, longitude: -0.102, accuracy: null, speed: null, timestamp: Date.UTC(2024, 0, 5, 7, 30, 9) },
+  ]);
+
+  expect(gpx).toContain('<name>King&apos;s Cross &lt;Platform 9¾&gt; (alarm area)</name>');
+  expect(gpx).toContain('<gpxx:Proximity>250</gpxx:Proximity>');
+  expect(gpx).toContain('<wpt lat="51.5302" lon="-0.1225">\n    <time>2024-01-05T07:52:00.000Z</time>');
+  expect(gpx).toContain('<desc>Triggered by arrival</desc>');
+  expect(gpx.match(/<trkpt /g)).toHaveLength(2);
+  expect(gpx).toContain('<cmt>±12 m</cmt>');
+  expect(gpx).toContain('<gpxtpx:speed>9.5</gpxtpx:speed>');
+  expect(gpx).not.toContain('<rte>');
+
+  // The track is plain GPX that reads back as its waypoints
+  expect(parseLocationFile(gpx, 'trip.gpx').places.map(place => place.name))
+    .toEqual(['King\'s Cross <Platform 9¾> (alarm area)', 'Alarm set', 'Alarm went off']);
+
+  expect(exportTripGpx({ ...trip, destination: saved[1] }, [])).toContain('<rtept lat="51.5" lon="-0.13"/>');
+});
@@ -0,0 +1,43 @@
+import { formatAddress, matchSavedLocations, MAX_SAVED_MATCHES } from '../placeSearch';
+
+const locations = [
+  { id: '1', name: 'Work', address: 'Station Road, Leeds', latitude: 53.79, longitude: -1.54 },
+  { id: '2', name: 'Central Station', address: 'Gordon Street, Glasgow', latitude: 55.86, longitude: -4.25 },
+  { id: '3', name: 'Gym', address: 'High Street, Glasgow', latitude: 55.85, longitude: -4.26 },
+  { id: '4', name: 'Station Car Park', address: 'Princes Street, Edinburgh', latitude: 55.95, longitude: -3.19 },
+];
+
+const ids = (matches) => matches.map(location => location.id);
+
+it('matches names and addresses regardless of case', () => {
+  expect(ids(matchSavedLocations(locations, 'glasgow'))).toEqual(['2', '3']);
+  expect(ids(matchSavedLocations(locations, 'GYM'))).toEqual(['3']);
+});
+
+it('needs every word of the query to match', () => {
+  expect(ids(matchSavedLocations(locations, 'station glasgow'))).toEqual(['2']);
+  expect(matchSavedLocations(locations, 'station paris')).toEqual([]);
+});
+
+it('puts name matches before address matches', () => {
+  // Station Car Park starts with the query, Central Station contains it, Work only has it in the address
+  expect(ids(matchSavedLocations(locations, 'station'))).toEqual(['4', '2', '1']);
+});
+
+it('breaks ties by distance from a reference point', () => {
+  const nearHigh = { latitude: 55.85, longitude: -4.26 };
+  expect(ids(matchSavedLocations(locations, 'street', nearHigh))).toEqual(['3', '2', '4']);
+});
+
+it('ignores blank queries and caps the number of matches', () => {
+  expect(matchSavedLocations(locations, '   ')).toEqual([]);
+
+  const many = Array.from({ length: 10 }, (_, i) => ({ ...locations[0], id: String(i) }));
+  expect(matchSavedLocations(many, 'work')).toHaveLength(MAX_SAVED_MATCHES);
+});
+
+it('formats addresses without empty parts', () => {
+  expect(formatAddress({ street: 'Gordon Street', city: 'Glasgow', region: null, country: 'United Kingdom' }))
+    .toBe('Gordon Street, Glasgow, United Kingdom');
+  expect(formatAddress(undefined)).toBe('');
+});
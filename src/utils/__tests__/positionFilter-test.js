@@ -0,0 +1,52 @@
+import { PositionFilter, isAccurateEnough } from '../positionFilter';
+
+const fix = (latitude, accuracy, timestamp) => ({ latitude, longitude: -0.12, accuracy, timestamp });
+
+it('passes the first fix through', () => {
+  const filter = new PositionFilter();
+  expect(filter.process(fix(51.5, 10, 0))).toEqual({ latitude: 51.5, longitude: -0.12, accuracy: 10 });
+});
+
+it('barely moves for an imprecise jump', () => {
+  const filter = new PositionFilter();
+  filter.process(fix(51.5, 10, 0));
+  filter.process(fix(51.5, 10, 5000));
+
+  // A jump of about 1km reported with 500m accuracy
+  const smoothed = filter.process(fix(51.509, 500, 10000));
+  expect(smoothed.latitude - 51.5).toBeLessThan(0.0001);
+});
+
+it('follows precise fixes', () => {
+  const filter = new PositionFilter();
+  filter.process(fix(51.5, 10, 0));
+
+  const smoothed = filter.process(fix(51.501, 5, 60000));
+  expect(smoothed.latitude).toBeCloseTo(51.501, 4);
+});
+
+it('keeps up with a fast train', () => {
+  // 30 m/s north, as a train would report it
+  const lagAfter = (accuracy, intervalSeconds) => {
+    const filter = new PositionFilter();
+    let smoothed;
+    for (let i = 0; i <= 20; i++) {
+      const metersTravelled = 30 * intervalSeconds * i;
+      smoothed = filter.process({
+        ...fix(51.5 + metersTravelled / 111195, accuracy, i * intervalSeconds * 1000),
+        speed: 30,
+      });
+    }
+    return (51.5 + 30 * intervalSeconds * 20 / 111195 - smoothed.latitude) * 111195;
+  };
+
+  expect(lagAfter(100, 15)).toBeLessThan(50);
+  expect(lagAfter(1000, 60)).toBeLessThan(1000);
+});
+
+it('only trusts fixes as precise as the geofence needs', () => {
+  expect(isAccurateEnough(20, { radius: 50 })).toBe(true);
+  expect(isAccurateEnough(300, { radius: 50 })).toBe(false);
+  expect(isAccurateEnough(300, { radius: 500 })).toBe(true);
+  expect(isAccurateEnough(undefined, { radius: 50 })).toBe(true);
+});
@@ -0,0 +1,40 @@
+import { selectSamplingTier, DEFAULT_SAMPLING_TIER } from '../samplingPolicy';
+
+const destination = { id: '1', latitude: 51.5, longitude: -0.12, radius: 500 };
+
+// Points due north of the destination, roughly the given distance from its centre
+const pointAt = (km) => ({ latitude: 51.5 + km / 111.19, longitude: -0.12 });
+
+it('samples sparsely far away and precisely close by', () => {
+  // 100km out at 25 m/s is over an hour away
+  expect(selectSamplingTier([destination], pointAt(100), 25).id).toBe('far');
+  // 20km out at 25 m/s is about 13 minutes away
+  expect(selectSamplingTier([destination], pointAt(20), 25).id).toBe('en-route');
+  expect(selectSamplingTier([destination], pointAt(2), 25).id).toBe('close');
+});
+
+it('assumes a high speed until one is known', () => {
+  expect(selectSamplingTier([destination], pointAt(2), null).id).toBe('close');
+});
+
+it('gets precise before pre-alerts and ETA triggers', () => {
+  const withPreAlert = { ...destination, preAlerts: [{ id: 'a', distance: 20000, type: 'haptic' }] };
+  expect(selectSamplingTier([withPreAlert], pointAt(21), 25).id).toBe('close');
+
+  const withEta = { ...destination, etaMinutes: 15 };
+  expect(selectSamplingTier([withEta], pointAt(20), 25).id).toBe('close');
+});
+
+it('ignores paused and triggered alarms', () => {
+  const alarms = [{ ...destination, paused: true }, { ...destination, id: '2', triggered: true }];
+  expect(selectSamplingTier(alarms, pointAt(2), 25)).toBe(DEFAULT_SAMPLING_TIER);
+});
+
+it('watches for leaving while a dwell timer runs', () => {
+  const dwelling = { ...destination, trigger: 'dwell', dwellMinutes: 60, insideGeofence: true, enteredAt: Date.now() };
+  // Walking out of the middle takes about 6 minutes
+  expect(selectSamplingTier([dwelling], pointAt(0), 0).id).toBe('approaching');
+
+  const almostDue = { ...dwelling, enteredAt: Date.now() - 59 * 60 * 1000 };
+  expect(selectSamplingTier([almostDue], pointAt(0), 0).id).toBe('close');
+});
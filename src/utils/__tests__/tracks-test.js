@@ -0,0 +1,23 @@
+import { createTrack, appendTrackPoints, decodeTrack, MAX_TRACK_POINTS } from '../tracks';
+
+const fix = (seconds, latitude, longitude, accuracy = 8, speed = 13.4) => ({
+  latitude, longitude, accuracy, speed, timestamp: 1700000000000 + seconds * 1000,
+});
+
+it('round-trips fixes appended in batches', () => {
+  let track = createTrack(1700000000000);
+  track = appendTrackPoints(track, [fix(2, 51.500012, -0.120034), fix(7, 51.50071, -0.119)]);
+  track = appendTrackPoints(track, [fix(12, 51.5015, -0.1182, null, null)]);
+
+  expect(track.points[1]).toEqual([5, 70, 103, 8, 134]);
+  expect(decodeTrack(track)).toEqual([
+    { latitude: 51.50001, longitude: -0.12003, accuracy: 8, speed: 13.4, timestamp: 1700000002000 },
+    { latitude: 51.50071, longitude: -0.119, accuracy: 8, speed: 13.4, timestamp: 1700000007000 },
+    { latitude: 51.5015, longitude: -0.1182, accuracy: null, speed: null, timestamp: 1700000012000 },
+  ]);
+});
+
+it('stops growing at the size limit', () => {
+  const fixes = Array.from({ length: MAX_TRACK_POINTS + 5 }, (_, i) => fix(i, 51.5, -0.12));
+  expect(appendTrackPoints(createTrack(1700000000000), fixes).points).toHaveLength(MAX_TRACK_POINTS);
+});
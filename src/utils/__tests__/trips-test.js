@@ -0,0 +1,84 @@
+import {
+  startTrip, recordTripFix, recordTripTrigger, finishTrip, getRearmDestination, takeNewTrackFixes,
+} from '../trips';
+
+const alarm = (overrides = {}) => ({
+  id: 'temp-1',
+  name: 'Station',
+  latitude: 51.5,
+  longitude: -0.12,
+  radius: 300,
+  armedAt: 1000,
+  preAlerts: [{ minutes: 5, fired: true }],
+  insideGeofence: false,
+  ...overrides,
+});
+
+it('adds up distance and ignores GPS noise', () => {
+  const trip = alarm({ trip: startTrip({ latitude: 51.0, longitude: -0.12 }, 1000) });
+
+  recordTripFix(trip, { latitude: 51.00005, longitude: -0.12 }, { accuracy: 5, speed: 1 });
+  expect(trip.trip.distanceTravelled).toBe(0);
+
+  recordTripFix(trip, { latitude: 51.001, longitude: -0.12 }, { accuracy: 5, speed: 12 });
+  recordTripFix(trip, { latitude: 51.002, longitude: -0.12 }, { accuracy: 200, speed: 8 });
+
+  expect(trip.trip.distanceTravelled).toBeCloseTo(111, 0);
+  expect(trip.trip.peakSpeed).toBe(12);
+});
+
+it('starts from the first fix when armed without a position', () => {
+  const trip = alarm({ trip: startTrip(null, 1000) });
+
+  recordTripFix(trip, { latitude: 51.0, longitude: -0.12 });
+  expect(trip.trip.startPosition).toEqual({ latitude: 51.0, longitude: -0.12 });
+  expect(trip.trip.distanceTravelled).toBe(0);
+});
+
+it('keeps the first trigger and records the outcome', () => {
+  const triggered = alarm({ trip: startTrip({ latitude: 51.0, longitude: -0.12 }, 1000) });
+  recordTripTrigger(triggered, { latitude: 51.5, longitude: -0.12 }, 'arrival', 5000);
+  recordTripTrigger(triggered, { latitude: 51.6, longitude: -0.12 }, 'exit', 9000);
+
+  const record = finishTrip(triggered, 10000);
+  expect(record).toMatchObject({
+    id: 'temp-1-1000',
+    startedAt: 1000,
+    triggeredAt: 5000,
+    triggeredBy: 'arrival',
+    endedAt: 10000,
+    outcome: 'dismissed',
+  });
+  expect(record.destination).toEqual({
+    id: 'temp-1',
+    name: 'Station',
+    latitude: 51.5,
+    longitude: -0.12,
+    radius: 300,
+    preAlerts: [{ minutes: 5 }],
+  });
+  expect(record).not.toHaveProperty('lastPosition');
+  expect(record).not.toHaveProperty('trackedUntil');
+
+  expect(finishTrip(alarm({ trip: startTrip(null, 1000) }), 2000).outcome).toBe('cancelled');
+});
+
+it('re-arms saved locations as they are now and others under a new id', () => {
+  const saved = { id: '42', name: 'Office (new entrance)', latitude: 51.51, longitude: -0.1, radius: 200 };
+  const savedTrip = finishTrip(alarm({ id: '42', name: 'Office' }), 2000);
+  const tempTrip = finishTrip(alarm(), 2000);
+
+  expect(getRearmDestination(savedTrip, [saved], 3000)).toBe(saved);
+  expect(getRearmDestination(savedTrip, [], 3000)).toMatchObject({ id: 'temp-3000', name: 'Office' });
+  expect(getRearmDestination(tempTrip, [saved], 3000)).toMatchObject({ id: 'temp-3000', name: 'Station', radius: 300 });
+});
+
+it('adds each fix to the track once', () => {
+  const trip = alarm({ trip: startTrip(null, 1000) });
+  const fixes = [2000, 3000].map(timestamp => ({ latitude: 51.0, longitude: -0.12, timestamp }));
+
+  expect(takeNewTrackFixes(trip, fixes)).toHaveLength(2);
+  expect(takeNewTrackFixes(trip, [fixes[1]])).toEqual([]);
+  expect(takeNewTrackFixes(trip, [{ ...fixes[1], timestamp: 4000 }])).toHaveLength(1);
+  expect(finishTrip(trip, 5000).trackPoints).toBe(3);
+});
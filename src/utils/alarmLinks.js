@@ -0,0 +1,93 @@
+import { MIN_RADIUS, MAX_RADIUS, polygonGeofence } from './geo';
+
+// Shared alarm links: geowake://alarm?lat=..&lng=..&radius=..&name=..
+// They open the map to confirm the destination, or with open=alarm go
+// straight to the alarm. Polygons travel as polygon=lat,lng;lat,lng;...
+
+export const ALARM_LINK_PATH = 'alarm';
+
+const TRIGGERS = ['enter', 'exit', 'dwell'];
+const MAX_NAME_LENGTH = 100;
+const MAX_DWELL_MINUTES = 24 * 60;
+const MAX_POLYGON_POINTS = 50;
+
+// Six decimal places is about 10 cm, plenty for a geofence
+const round = (value) => String(Math.round(value * 1e6) / 1e6);
+
+// Query parameters describing a location, for Linking.createURL
+export const getAlarmLinkParams = (location, { open = 'map' } = {}) => {
+  const params = {
+    name: location.name,
+    ...(location.shape === 'polygon'
+      ? { polygon: location.polygon.map(point => `${round(point.latitude)},${round(point.longitude)}`).join(';') }
+      : { lat: round(location.latitude), lng: round(location.longitude), radius: String(location.radius) }),
+  };
+
+  if (location.trigger && location.trigger !== 'enter') {
+    params.trigger = location.trigger;
+  }
+  if (location.trigger === 'dwell') {
+    params.dwell = String(location.dwellMinutes);
+  }
+  if (open === 'alarm') {
+    params.open = 'alarm';
+  }
+
+  return params;
+};
+
+const parseNumber = (value, label, min, max) => {
+  const number = Number(value);
+  if (value == null || value === '' || !Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`The link has an invalid ${label}`);
+  }
+  return number;
+};
+
+const parsePolygon = (value) => {
+  const points = String(value).split(';').filter(Boolean).map(pair => {
+    const [latitude, longitude] = pair.split(',');
+    return {
+      latitude: parseNumber(latitude, 'polygon', -90, 90),
+      longitude: parseNumber(longitude, 'polygon', -180, 180),
+    };
+  });
+
+  if (points.length < 3 || points.length > MAX_POLYGON_POINTS) {
+    throw new Error('The link has an invalid polygon');
+  }
+  return polygonGeofence(points);
+};
+
+/**
+ * Check the query parameters of an alarm link and turn them into a destination.
+ * Throws an Error with a message for the user when anything is missing or out of range.
+ * @returns {{ screen: 'Map'|'Alarm', destination: Object }} destination has no id yet
+ */
+export const parseAlarmLinkParams = (params = {}) => {
+  const geofence = params.polygon
+    ? parsePolygon(params.polygon)
+    : {
+      latitude: parseNumber(params.lat, 'latitude', -90, 90),
+      longitude: parseNumber(params.lng, 'longitude', -180, 180),
+      radius: Math.round(parseNumber(params.radius, 'radius', MIN_RADIUS, MAX_RADIUS)),
+      shape: 'circle',
+    };
+
+  const trigger = params.trigger || 'enter';
+  if (!TRIGGERS.includes(trigger)) {
+    throw new Error('The link has an invalid trigger');
+  }
+
+  const name = typeof params.name === 'string' ? params.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+
+  return {
+    screen: params.open === 'alarm' ? 'Alarm' : 'Map',
+    destination: {
+      name: name || 'Shared location',
+      ...geofence,
+      trigger,
+      dwellMinutes: trigger === 'dwell' ? parseNumber(params.dwell, 'dwell time', 1, MAX_DWELL_MINUTES) : null,
+    },
+  };
+};
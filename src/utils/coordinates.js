@@ -0,0 +1,328 @@
+// Parse destinations typed or pasted by hand: decimal and DMS coordinates,
+// Open Location Codes (Plus Codes) and links from Google, Apple and
+// OpenStreetMap maps. Everything resolves to { latitude, longitude, format }
+// plus a label when the input carries a place name. Invalid input throws an
+// Error with a message that can be shown to the user.
+
+const INVALID_INPUT = 'Enter coordinates, a Plus Code or a map link';
+
+// Open Location Code alphabet and the size (degrees) of each pair of digits
+const OLC_ALPHABET = '23456789CFGHJMPQRVWX';
+const OLC_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+const OLC_SEPARATOR_POSITION = 8;
+const OLC_PAIR_LENGTH = 10;
+const OLC_GRID_ROWS = 5;
+const OLC_GRID_COLUMNS = 4;
+
+// A Plus Code, optionally followed by the town a short code is relative to
+const PLUS_CODE_PATTERN = /^([23456789CFGHJMPQRVWX0]{2,8}\+[23456789CFGHJMPQRVWX]*)(?:[\s,]+(.+))?$/i;
+
+// Map hosts that only redirect, so hold no coordinates themselves
+const SHORT_LINK_PATTERN = /^https?:\/\/(maps\.app\.goo\.gl|goo\.gl|g\.co|apple\.co|osm\.org\/go)\//i;
+
+// Link parameters that can hold "lat,lng", most specific first
+const URL_COORDINATE_PARAMS = ['q', 'query', 'destination', 'daddr', 'coordinate', 'll', 'sll', 'center'];
+
+const DECIMAL_PAIR_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)/;
+
+const checkRange = ({ latitude, longitude }) => {
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+    throw new Error('Latitude must be between -90 and 90');
+  }
+  if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+    throw new Error('Longitude must be between -180 and 180');
+  }
+};
+
+// One latitude or longitude, in decimal degrees or degrees, minutes and seconds
+const parseComponent = (text) => {
+  const hemispheres = text.match(/[NSEW]/gi) || [];
+  const numbers = text.match(/\d+(?:\.\d+)?/g) || [];
+  const negative = /^\s*-/.test(text);
+
+  // Only numbers, degree/minute/second marks, a sign and a hemisphere are allowed
+  const leftover = text.replace(/[\d.\s°º'′’"″”NSEW+-]/gi, '');
+  if (leftover || hemispheres.length > 1 || numbers.length === 0 || numbers.length > 3) {
+    return null;
+  }
+  if (negative && hemispheres.length > 0) return null;
+
+  // Only the last part may have a fraction, and minutes and seconds stay under 60
+  if (numbers.slice(0, -1).some(part => part.includes('.'))) return null;
+  const [degrees, minutes = 0, seconds = 0] = numbers.map(Number);
+  if (minutes >= 60 || seconds >= 60) return null;
+
+  const hemisphere = hemispheres[0]?.toUpperCase();
+  const sign = negative || hemisphere === 'S' || hemisphere === 'W' ? -1 : 1;
+
+  return {
+    value: sign * (degrees + minutes / 60 + seconds / 3600),
+    axis: hemisphere ? (hemisphere === 'N' || hemisphere === 'S' ? 'latitude' : 'longitude') : null,
+    dms: numbers.length > 1 || /[°º'′’"″”]/.test(text),
+  };
+};
+
+// Split a coordinate pair into its latitude and longitude text
+const splitPair = (text) => {
+  const separated = text.split(/[,;]/);
+  if (separated.length === 2) return separated;
+  if (separated.length > 2) return null;
+
+  // Hemisphere letters mark where the second half starts: "51 30 N 0 7 W" or "N 51 30 W 0 7"
+  const letters = [...text.matchAll(/[NSEW]/gi)];
+  if (letters.length === 2) {
+    const splitAt = letters[0].index === 0 ? letters[1].index : letters[0].index + 1;
+    return [text.slice(0, splitAt), text.slice(splitAt)];
+  }
+  if (letters.length > 0) return null;
+
+  const tokens = text.split(/\s+/).filter(Boolean);
+
+  // With degree marks each half starts at one: 51° 30' 0° 7'
+  if (tokens.some(token => /[°º]/.test(token))) {
+    const starts = tokens.reduce((found, token, index) => (/[°º]/.test(token) ? [...found, index] : found), []);
+    if (starts.length !== 2 || starts[0] !== 0) return null;
+    return [tokens.slice(0, starts[1]).join(' '), tokens.slice(starts[1]).join(' ')];
+  }
+
+  // Otherwise the numbers split evenly: "51.5 -0.12" or "51 30 26 0 7 40"
+  if (![2, 4, 6].includes(tokens.length)) return null;
+  const half = tokens.length / 2;
+  return [tokens.slice(0, half).join(' '), tokens.slice(half).join(' ')];
+};
+
+// "51.5074, -0.1278", "51°30'26.6\"N 0°07'40.1\"W" and the like
+export const parseCoordinates = (text) => {
+  const halves = splitPair(text.trim());
+  if (!halves) return null;
+
+  let [first, second] = halves.map(parseComponent);
+  if (!first || !second) return null;
+
+  // Hemisphere letters can put longitude first
+  if (first.axis === 'longitude' || second.axis === 'latitude') {
+    [first, second] = [second, first];
+  }
+  if (first.axis === 'longitude' || second.axis === 'latitude') return null;
+
+  const coordinate = { latitude: first.value, longitude: second.value };
+  checkRange(coordinate);
+
+  return { ...coordinate, format: first.dms || second.dms ? 'dms' : 'decimal' };
+};
+
+// Latitude and longitude of the first digits of a Plus Code for a point
+const encodePlusCodePrefix = (latitude, longitude, length) => {
+  let lat = Math.min(latitude + 90, 180 - 1e-10);
+  let lng = ((((longitude + 180) % 360) + 360) % 360);
+  let prefix = '';
+
+  for (let i = 0; prefix.length < length; i++) {
+    const resolution = OLC_PAIR_RESOLUTIONS[i];
+    const latDigit = Math.floor(lat / resolution);
+    const lngDigit = Math.floor(lng / resolution);
+    lat -= latDigit * resolution;
+    lng -= lngDigit * resolution;
+    prefix += OLC_ALPHABET[latDigit] + OLC_ALPHABET[lngDigit];
+  }
+
+  return prefix.slice(0, length);
+};
+
+// Centre of the area a full Plus Code covers
+const decodePlusCode = (code) => {
+  const digits = code.replace('+', '').replace(/0+$/, '');
+  let south = -90;
+  let west = -180;
+  let latSize = OLC_PAIR_RESOLUTIONS[0];
+  let lngSize = OLC_PAIR_RESOLUTIONS[0];
+
+  for (let i = 0; i < Math.min(digits.length, OLC_PAIR_LENGTH); i += 2) {
+    latSize = OLC_PAIR_RESOLUTIONS[i / 2];
+    lngSize = latSize;
+    south += OLC_ALPHABET.indexOf(digits[i]) * latSize;
+    west += OLC_ALPHABET.indexOf(digits[i + 1]) * lngSize;
+  }
+
+  // Digits after the tenth pick a cell in a 5 by 4 grid
+  for (let i = OLC_PAIR_LENGTH; i < digits.length; i++) {
+    const index = OLC_ALPHABET.indexOf(digits[i]);
+    latSize /= OLC_GRID_ROWS;
+    lngSize /= OLC_GRID_COLUMNS;
+    south += Math.floor(index / OLC_GRID_COLUMNS) * latSize;
+    west += (index % OLC_GRID_COLUMNS) * lngSize;
+  }
+
+  return {
+    latitude: Math.min(90, south + latSize / 2),
+    longitude: Math.min(180, west + lngSize / 2),
+  };
+};
+
+const isValidPlusCode = (code) => {
+  const separator = code.indexOf('+');
+  if (separator % 2 !== 0 || separator > OLC_SEPARATOR_POSITION) return false;
+
+  const afterSeparator = code.slice(separator + 1);
+  if (afterSeparator.length === 1) return false;
+
+  // Padding only fills whole pairs at the end of a full code with nothing after the "+"
+  const padding = code.match(/0+\+/);
+  if (padding) {
+    const padded = padding[0].length - 1;
+    if (separator !== OLC_SEPARATOR_POSITION || padded % 2 !== 0 || padding.index < 2 || afterSeparator) return false;
+    if (code.slice(0, padding.index).includes('0')) return false;
+  } else if (code.includes('0')) {
+    return false;
+  }
+
+  // The first pair of a full code can't go past the poles or the antimeridian
+  if (separator === OLC_SEPARATOR_POSITION) {
+    if (OLC_ALPHABET.indexOf(code[0]) > 8 || OLC_ALPHABET.indexOf(code[1]) > 17) return false;
+  }
+
+  return true;
+};
+
+// The town after a short Plus Code ("GV4C+2G London"), which the code is relative to
+export const getPlusCodeLocality = (text) => {
+  const match = text.trim().match(PLUS_CODE_PATTERN);
+  if (!match || !match[2]) return null;
+  return match[1].indexOf('+') < OLC_SEPARATOR_POSITION ? match[2].trim() : null;
+};
+
+// Full Plus Codes, or short ones recovered to the nearest match around reference
+export const parsePlusCode = (text, reference = null) => {
+  const match = text.trim().match(PLUS_CODE_PATTERN);
+  if (!match) return null;
+
+  const code = match[1].toUpperCase();
+  if (!isValidPlusCode(code)) {
+    throw new Error('That Plus Code isn\'t valid');
+  }
+
+  const separator = code.indexOf('+');
+  if (separator === OLC_SEPARATOR_POSITION) {
+    return { ...decodePlusCode(code), format: 'pluscode' };
+  }
+
+  if (!reference) {
+    throw new Error('Short Plus Codes need a town after them or your current location. Enter the full code instead.');
+  }
+
+  // Borrow the missing leading digits from the reference, then move a whole
+  // cell over if that's closer to it
+  const missing = OLC_SEPARATOR_POSITION - separator;
+  const resolution = Math.pow(20, 2 - missing / 2);
+  const halfResolution = resolution / 2;
+  const prefix = encodePlusCodePrefix(reference.latitude, reference.longitude, missing);
+  let { latitude, longitude } = decodePlusCode(prefix + code);
+
+  if (reference.latitude + halfResolution < latitude && latitude - resolution >= -90) {
+    latitude -= resolution;
+  } else if (reference.latitude - halfResolution > latitude && latitude + resolution <= 90) {
+    latitude += resolution;
+  }
+
+  if (reference.longitude + halfResolution < longitude) {
+    longitude -= resolution;
+  } else if (reference.longitude - halfResolution > longitude) {
+    longitude += resolution;
+  }
+  if (longitude > 180) longitude -= 360;
+  if (longitude < -180) longitude += 360;
+
+  return { latitude, longitude, format: 'pluscode' };
+};
+
+const getParam = (url, name) => {
+  const match = url.match(new RegExp(`[?&]${name}=([^&#]*)`, 'i'));
+  if (!match) return null;
+
+  try {
+    return decodeURIComponent(match[1].replace(/\+/g, ' '));
+  } catch {
+    return null;
+  }
+};
+
+// Place name carried by the link, if any
+const getUrlLabel = (url) => {
+  const place = url.match(/\/maps\/place\/([^/@?]+)/i);
+  if (place) return getParam(`?name=${place[1]}`, 'name');
+
+  const name = getParam(url, 'name') || getParam(url, 'q');
+  return name && !DECIMAL_PAIR_PATTERN.test(name) ? name : null;
+};
+
+const toCoordinate = (latitude, longitude) => {
+  const coordinate = { latitude: Number(latitude), longitude: Number(longitude) };
+  checkRange(coordinate);
+  return coordinate;
+};
+
+// Google, Apple and OpenStreetMap links and geo: URIs
+export const parseMapUrl = (text) => {
+  const url = text.trim();
+
+  if (SHORT_LINK_PATTERN.test(url)) {
+    throw new Error('Short links can\'t be read. Open the link in your browser and copy the full address instead.');
+  }
+
+  const coordinate = (() => {
+    // geo:lat,lng, or geo:0,0?q=lat,lng(label)
+    const geo = url.match(/^geo:(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/i);
+    if (geo && !(Number(geo[1]) === 0 && Number(geo[2]) === 0 && getParam(url, 'q'))) {
+      return toCoordinate(geo[1], geo[2]);
+    }
+
+    // The pin of a Google place, rather than the middle of the view
+    const pin = url.match(/!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/);
+    if (pin) return toCoordinate(pin[1], pin[2]);
+
+    // OpenStreetMap marker
+    const markerLat = getParam(url, 'mlat');
+    const markerLng = getParam(url, 'mlon');
+    if (markerLat && markerLng) return toCoordinate(markerLat, markerLng);
+
+    for (const name of URL_COORDINATE_PARAMS) {
+      const pair = (getParam(url, name) || '').match(DECIMAL_PAIR_PATTERN);
+      if (pair) return toCoordinate(pair[1], pair[2]);
+    }
+
+    // Middle of the view: Google "@lat,lng,zoom" and OpenStreetMap "#map=zoom/lat/lng"
+    const view = url.match(/@(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/)
+      || url.match(/#map=\d+(?:\.\d+)?\/(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)/);
+    if (view) return toCoordinate(view[1], view[2]);
+
+    return null;
+  })();
+
+  if (!coordinate) {
+    throw new Error('That link doesn\'t include coordinates. Try searching for the place instead.');
+  }
+
+  const label = getUrlLabel(url);
+  return { ...coordinate, format: 'url', ...(label ? { label } : {}) };
+};
+
+/**
+ * Parse any supported destination format.
+ * @param {string} text
+ * @param {{ reference?: { latitude: number, longitude: number } }} [options]
+ *   reference: point short Plus Codes are recovered around
+ * @returns {{ latitude: number, longitude: number, format: string, label?: string }}
+ */
+export const parseLocationInput = (text, { reference = null } = {}) => {
+  const input = (text || '').trim();
+  if (!input) throw new Error(INVALID_INPUT);
+
+  if (/^(https?:\/\/|geo:)|^[\w-]+(\.[\w-]+)+\//i.test(input)) {
+    return parseMapUrl(input);
+  }
+
+  const result = parsePlusCode(input, reference) || parseCoordinates(input);
+  if (!result) throw new Error(INVALID_INPUT);
+
+  return result;
+};
@@ -0,0 +1,80 @@
+import { calculateDistance } from './geo';
+import { isAccurateEnough } from './positionFilter';
+
+// How far back fixes are used to estimate speed
+export const SPEED_WINDOW_MS = 2 * 60 * 1000;
+
+// Below this speed (m/s) we treat the user as stationary and don't estimate an ETA
+export const MIN_MOVING_SPEED = 1;
+
+// Estimate the current speed in m/s from recent fixes ({ latitude, longitude, timestamp, speed }).
+// Prefers the speed reported by the GPS and falls back to distance over time.
+// Fixes more than SPEED_WINDOW_MS older than the latest one are ignored.
+export const estimateSpeed = (allFixes) => {
+  if (allFixes.length === 0) return null;
+
+  const latest = allFixes[allFixes.length - 1].timestamp;
+  const fixes = allFixes.filter(fix => latest - fix.timestamp <= SPEED_WINDOW_MS);
+
+  const reportedSpeeds = fixes
+    .map(fix => fix.speed)
+    .filter(speed => typeof speed === 'number' && speed >= 0);
+
+  if (reportedSpeeds.length > 0) {
+    return reportedSpeeds.reduce((sum, speed) => sum + speed, 0) / reportedSpeeds.length;
+  }
+
+  if (fixes.length < 2) return null;
+
+  let distance = 0;
+  for (let i = 1; i < fixes.length; i++) {
+    distance += calculateDistance(
+      fixes[i - 1].latitude,
+      fixes[i - 1].longitude,
+      fixes[i].latitude,
+      fixes[i].longitude
+    ) * 1000;
+  }
+
+  const elapsedSeconds = (fixes[fixes.length - 1].timestamp - fixes[0].timestamp) / 1000;
+  return elapsedSeconds > 0 ? distance / elapsedSeconds : null;
+};
+
+// Rate in m/s at which the distance (km) to a destination is shrinking, from
+// recent { distance, timestamp } samples. Negative while moving away, and null
+// until there are two samples to compare. Unlike the ground speed this is
+// about zero when passing the destination at a distance.
+export const estimateClosingSpeed = (allSamples) => {
+  if (allSamples.length < 2) return null;
+
+  const latest = allSamples[allSamples.length - 1];
+  const [first] = allSamples.filter(sample => latest.timestamp - sample.timestamp <= SPEED_WINDOW_MS);
+
+  const elapsedSeconds = (latest.timestamp - first.timestamp) / 1000;
+  return elapsedSeconds > 0 ? (first.distance - latest.distance) * 1000 / elapsedSeconds : null;
+};
+
+// Minutes until the remaining distance (km) is covered at the given speed (m/s),
+// or null when we aren't moving
+export const estimateEtaMinutes = (remainingDistance, speed) => {
+  if (speed == null || speed < MIN_MOVING_SPEED) return null;
+  return (Math.max(0, remainingDistance) * 1000) / speed / 60;
+};
+
+// Whether an ETA alarm should go off. Like entering a geofence, this takes
+// confirmationFixes precise fixes in a row with the ETA within the alarm's
+// minutes. Keeps the streak in alarm.pendingEtaFixes.
+export const isEtaReached = (alarm, eta, { accuracy, confirmationFixes }) => {
+  if (!alarm.etaMinutes || eta === null || eta > alarm.etaMinutes) {
+    alarm.pendingEtaFixes = 0;
+    return false;
+  }
+
+  // Imprecise fixes neither count nor break the streak
+  if (!isAccurateEnough(accuracy, alarm)) {
+    return false;
+  }
+
+  alarm.pendingEtaFixes = (alarm.pendingEtaFixes || 0) + 1;
+  return alarm.pendingEtaFixes >= confirmationFixes;
+};
@@ -0,0 +1,81 @@
+// Format a distance in kilometers for display
+export const formatDistance = (distance) => {
+  return distance < 1 ? `${Math.round(distance * 1000)} m` : `${distance.toFixed(2)} km`;
+};
+
+// Coordinates as a stand-in address, about a meter precise
+export const formatCoordinates = ({ latitude, longitude }) => {
+  return `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+};
+
+// Format an ETA in minutes for display
+export const formatEta = (minutes) => {
+  if (minutes < 1) return 'under 1 min';
+  if (minutes < 60) return `${Math.round(minutes)} min`;
+  return `${Math.floor(minutes / 60)} h ${Math.round(minutes % 60)} min`;
+};
+
+// Format a speed in m/s for display
+export const formatSpeed = (metersPerSecond) => {
+  return `${Math.round(metersPerSecond * 3.6)} km/h`;
+};
+
+// Title and message of the ongoing notification for the armed alarms
+// (entries: [{ alarm, distance, eta }], distance in km, eta in minutes or null)
+export const getTrackingMessage = (entries) => {
+  const describe = ({ distance, eta }) => {
+    if (distance == null) return 'Waiting for your location';
+    return eta != null ? `${formatDistance(distance)} · ETA ${formatEta(eta)}` : `${formatDistance(distance)} away`;
+  };
+
+  if (entries.length === 1) {
+    return {
+      title: `Alarm set for ${entries[0].alarm.name}`,
+      body: describe(entries[0]),
+    };
+  }
+
+  // Lead with the closest destination
+  const [nearest] = [...entries].sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+
+  return {
+    title: `${entries.length} alarms set`,
+    body: `${nearest.alarm.name}: ${describe(nearest)}`,
+  };
+};
+
+// Describe when an alarm goes off
+export const formatTrigger = (alarm) => {
+  if (alarm.trigger === 'exit') return 'On leaving';
+  if (alarm.trigger === 'dwell') return `After ${alarm.dwellMinutes} min inside`;
+  return 'On arrival';
+};
+
+// Title and message shown when an alarm fires
+export const getAlarmMessage = (alarm) => {
+  if (alarm.triggeredBy === 'exit') {
+    return {
+      title: 'Leaving Area!',
+      body: `You have left ${alarm.name}`,
+    };
+  }
+
+  if (alarm.triggeredBy === 'dwell') {
+    return {
+      title: 'Time\'s Up!',
+      body: `You have been at ${alarm.name} for ${alarm.dwellMinutes} minutes`,
+    };
+  }
+
+  if (alarm.triggeredBy === 'eta') {
+    return {
+      title: 'Almost There!',
+      body: `You will arrive at ${alarm.name} in about ${alarm.etaMinutes} minutes`,
+    };
+  }
+
+  return {
+    title: 'Destination Reached!',
+    body: `You have arrived at ${alarm.name}`,
+  };
+};
@@ -0,0 +1,175 @@
+const EARTH_RADIUS_KM = 6371;
+
+// Radius limits in meters for circular geofences
+export const MIN_RADIUS = 50;
+export const MAX_RADIUS = 5000;
+
+export const deg2rad = (deg) => {
+  return deg * (Math.PI / 180);
+};
+
+export const rad2deg = (rad) => {
+  return rad * (180 / Math.PI);
+};
+
+// Calculate distance between two coordinates in kilometers (haversine)
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = deg2rad(lat2 - lat1);
+  const dLon = deg2rad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+};
+
+// Point reached by travelling a distance (meters) from a coordinate along a bearing (degrees)
+export const destinationPoint = ({ latitude, longitude }, bearing, distance) => {
+  const angularDistance = distance / 1000 / EARTH_RADIUS_KM;
+  const theta = deg2rad(bearing);
+  const lat1 = deg2rad(latitude);
+  const lon1 = deg2rad(longitude);
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angularDistance) +
+    Math.cos(lat1) * Math.sin(angularDistance) * Math.cos(theta)
+  );
+  const lon2 = lon1 + Math.atan2(
+    Math.sin(theta) * Math.sin(angularDistance) * Math.cos(lat1),
+    Math.cos(angularDistance) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  return {
+    latitude: rad2deg(lat2),
+    // Normalise to -180..180
+    longitude: ((rad2deg(lon2) + 540) % 360) - 180,
+  };
+};
+
+// Ray casting point-in-polygon test. Polygon is an array of { latitude, longitude }.
+export const isPointInPolygon = ({ latitude, longitude }, polygon) => {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+
+    const crosses =
+      (a.latitude > latitude) !== (b.latitude > latitude) &&
+      longitude < ((b.longitude - a.longitude) * (latitude - a.latitude)) / (b.latitude - a.latitude) + a.longitude;
+
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+// Distance in km from a point to the segment a-b. Uses a local flat projection,
+// which is accurate enough at geofence scale.
+const distanceToSegment = (point, a, b) => {
+  const kmPerDegLat = 111.32;
+  const kmPerDegLon = 111.32 * Math.cos(deg2rad(point.latitude));
+
+  const ax = (a.longitude - point.longitude) * kmPerDegLon;
+  const ay = (a.latitude - point.latitude) * kmPerDegLat;
+  const bx = (b.longitude - point.longitude) * kmPerDegLon;
+  const by = (b.latitude - point.latitude) * kmPerDegLat;
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lengthSquared));
+
+  return Math.hypot(ax + t * dx, ay + t * dy);
+};
+
+// Distance in km from a point to the edge of a polygon
+export const distanceToPolygonEdge = (point, polygon) => {
+  let minDistance = Infinity;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    minDistance = Math.min(minDistance, distanceToSegment(point, polygon[j], polygon[i]));
+  }
+
+  return minDistance;
+};
+
+// Average of the vertices, used to place the marker of a polygon geofence
+export const polygonCentroid = (polygon) => {
+  const sum = polygon.reduce(
+    (total, vertex) => ({
+      latitude: total.latitude + vertex.latitude,
+      longitude: total.longitude + vertex.longitude,
+    }),
+    { latitude: 0, longitude: 0 }
+  );
+
+  return {
+    latitude: sum.latitude / polygon.length,
+    longitude: sum.longitude / polygon.length,
+  };
+};
+
+// Geofence fields for a polygon: its centroid, and the radius (meters, rounded
+// up to 10) of the circle around the centroid that contains it
+export const polygonGeofence = (polygon) => {
+  const center = polygonCentroid(polygon);
+  const enclosingRadius = Math.max(...polygon.map(point => calculateDistance(
+    center.latitude,
+    center.longitude,
+    point.latitude,
+    point.longitude
+  ) * 1000));
+
+  return {
+    ...center,
+    radius: Math.ceil(enclosingRadius / 10) * 10,
+    shape: 'polygon',
+    polygon,
+  };
+};
+
+// Whether a geofence is a polygon rather than a centre point plus radius
+export const isPolygonGeofence = (fence) => {
+  return fence.shape === 'polygon' && Array.isArray(fence.polygon) && fence.polygon.length >= 3;
+};
+
+// Distance in km from a point to the boundary of a geofence, from either side
+export const distanceToBoundary = (point, fence) => {
+  if (isPolygonGeofence(fence)) {
+    return distanceToPolygonEdge(point, fence.polygon);
+  }
+
+  const distance = calculateDistance(point.latitude, point.longitude, fence.latitude, fence.longitude);
+  return Math.abs(distance - fence.radius / 1000);
+};
+
+// Distance in km from a point to a geofence and whether the point is inside it.
+// Circles report the distance to their centre, polygons the distance to their edge.
+// edgeDistance is always the distance to the boundary (0 when inside).
+export const measureGeofence = (point, fence) => {
+  if (isPolygonGeofence(fence)) {
+    const inside = isPointInPolygon(point, fence.polygon);
+    const distance = inside ? 0 : distanceToPolygonEdge(point, fence.polygon);
+    return { inside, distance, edgeDistance: distance };
+  }
+
+  const distance = calculateDistance(
+    point.latitude,
+    point.longitude,
+    fence.latitude,
+    fence.longitude
+  );
+
+  // Convert radius from meters to kilometers for comparison
+  return {
+    inside: distance <= fence.radius / 1000,
+    distance,
+    edgeDistance: Math.max(0, distance - fence.radius / 1000),
+  };
+};
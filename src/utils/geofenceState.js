@@ -0,0 +1,56 @@
+import { isAccurateEnough } from './positionFilter';
+
+// How far (meters) past the edge counts as having left a geofence, or this
+// fraction of the radius for big ones. Fixes between the edge and the margin
+// don't change the state, so a fix bouncing on the boundary can't toggle it.
+const EXIT_MARGIN = 30;
+const EXIT_MARGIN_RATIO = 0.1;
+
+// Margin (meters) outside a geofence before we count as having left it
+export const getExitMargin = (fence) => {
+  return Math.max(EXIT_MARGIN, (fence.radius || 0) * EXIT_MARGIN_RATIO);
+};
+
+// Update whether we're inside an alarm's geofence from a measureGeofence
+// result. The state only flips after confirmationFixes precise fixes in a row
+// on the other side. Stores insideGeofence (null until known), pendingFixes and
+// enteredAt on the alarm, and returns 'enter', 'exit' or null.
+export const updateGeofenceState = (alarm, { inside, edgeDistance }, { accuracy, confirmationFixes, timestamp }) => {
+  const outside = !inside && edgeDistance * 1000 > getExitMargin(alarm);
+
+  // In the margin, or still on the same side
+  if ((!inside && !outside) || inside === alarm.insideGeofence) {
+    alarm.pendingFixes = 0;
+    return null;
+  }
+
+  // Starting outside isn't an exit
+  if (outside && alarm.insideGeofence == null) {
+    alarm.insideGeofence = false;
+    alarm.pendingFixes = 0;
+    return null;
+  }
+
+  // Imprecise fixes neither count nor break the streak
+  if (!isAccurateEnough(accuracy, alarm)) {
+    return null;
+  }
+
+  alarm.pendingFixes = (alarm.pendingFixes || 0) + 1;
+  if (alarm.pendingFixes < confirmationFixes) {
+    return null;
+  }
+
+  alarm.pendingFixes = 0;
+  alarm.insideGeofence = inside;
+  alarm.enteredAt = inside ? timestamp : null;
+  return inside ? 'enter' : 'exit';
+};
+
+// Time (ms) when a dwell alarm is due, or null while we're not inside
+export const getDwellDueAt = (alarm) => {
+  if (alarm.trigger !== 'dwell' || !alarm.insideGeofence || !alarm.enteredAt) {
+    return null;
+  }
+  return alarm.enteredAt + alarm.dwellMinutes * 60 * 1000;
+};
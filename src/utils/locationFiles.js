@@ -0,0 +1,402 @@
+import { calculateDistance, polygonCentroid, polygonGeofence } from './geo';
+
+// Reading and writing saved locations as GPX waypoints, KML placemarks and
+// GeoJSON points and polygons. Radii are kept in the Garmin proximity
+// extension (GPX), an ExtendedData "radius" field (KML) and a "radius"
+// property (GeoJSON), which other tools read as well. Recorded trips are
+// written as GPX tracks.
+
+export const FILE_FORMATS = {
+  gpx: { extension: 'gpx', mimeType: 'application/gpx+xml', name: 'GPX' },
+  kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', name: 'KML' },
+  geojson: { extension: 'geojson', mimeType: 'application/geo+json', name: 'GeoJSON' },
+};
+
+// Imported places this close to a saved location (meters) are treated as the same place
+export const DUPLICATE_DISTANCE = 50;
+
+// ...and this close when they have the same name too
+export const DUPLICATE_NAME_DISTANCE = 1000;
+
+const GARMIN_NAMESPACE = 'http://www.garmin.com/xmlschemas/GpxExtensions/v3';
+const GARMIN_TRACK_NAMESPACE = 'http://www.garmin.com/xmlschemas/TrackPointExtension/v2';
+
+const TRIGGER_NAMES = {
+  arrival: 'arrival',
+  eta: 'ETA',
+  exit: 'leaving',
+  dwell: 'dwell time',
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const decodeXml = (text) => {
+  const cdata = text.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  if (cdata) return cdata[1].trim();
+
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(Number(decimal)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .trim();
+};
+
+// Elements with a tag name, ignoring namespace prefixes: [{ attributes, content }]
+const findElements = (xml, tag) => {
+  const pattern = new RegExp(
+    `<(?:[\\w-]+:)?${tag}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/(?:[\\w-]+:)?${tag}\\s*>)`,
+    'g'
+  );
+  return [...xml.matchAll(pattern)].map(match => ({ attributes: match[1], content: match[2] || '' }));
+};
+
+const childText = (xml, tag) => {
+  const [element] = findElements(xml, tag);
+  return element ? decodeXml(element.content) || null : null;
+};
+
+const getAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+  return match ? decodeXml(match[1] ?? match[2]) : null;
+};
+
+const isValidCoordinate = ({ latitude, longitude }) => {
+  return Number.isFinite(latitude) && Math.abs(latitude) <= 90 &&
+    Number.isFinite(longitude) && Math.abs(longitude) <= 180;
+};
+
+const parseRadius = (value) => {
+  const radius = Number(value);
+  return value != null && value !== '' && Number.isFinite(radius) && radius > 0 ? Math.round(radius) : undefined;
+};
+
+// A place read from a file, before it gets an id. radius is undefined when
+// the file didn't have one.
+const toPlace = ({ name, address, coordinate, polygon, radius }) => {
+  if (polygon) {
+    const points = polygon.filter(isValidCoordinate);
+    if (points.length < 3) return null;
+
+    // Polygons are stored without the closing point
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (points.length > 3 && first.latitude === last.latitude && first.longitude === last.longitude) {
+      points.pop();
+    }
+
+    return { name, address, ...polygonGeofence(points) };
+  }
+
+  if (!coordinate || !isValidCoordinate(coordinate)) return null;
+  return { name, address, ...coordinate, radius, shape: 'circle' };
+};
+
+// "lng,lat[,alt]" tuples separated by whitespace, as KML writes them
+const parseKmlCoordinates = (text) => text.trim().split(/\s+/).filter(Boolean).map(tuple => {
+  const [longitude, latitude] = tuple.split(',').map(Number);
+  return { latitude, longitude };
+});
+
+const parseGpx = (xml) => findElements(xml, 'wpt').map(({ attributes, content }) => toPlace({
+  name: childText(content, 'name'),
+  address: childText(content, 'desc') || childText(content, 'cmt'),
+  coordinate: {
+    latitude: Number(getAttribute(attributes, 'lat')),
+    longitude: Number(getAttribute(attributes, 'lon')),
+  },
+  radius: parseRadius(childText(content, 'Proximity') || childText(content, 'radius')),
+}));
+
+const parseKml = (xml) => findElements(xml, 'Placemark').map(({ content }) => {
+  const radiusData = [...findElements(content, 'Data'), ...findElements(content, 'SimpleData')]
+    .find(element => getAttribute(element.attributes, 'name')?.toLowerCase() === 'radius');
+  const radiusValue = radiusData && (childText(radiusData.content, 'value') ?? decodeXml(radiusData.content));
+
+  const [polygon] = findElements(content, 'Polygon');
+  const [point] = findElements(content, 'Point');
+  const outerRing = polygon && childText(childText(polygon.content, 'outerBoundaryIs') || '', 'coordinates');
+  const pointCoordinates = point && childText(point.content, 'coordinates');
+
+  return toPlace({
+    name: childText(content, 'name'),
+    address: childText(content, 'address') || childText(content, 'description')?.replace(/<[^>]+>/g, '').trim(),
+    polygon: outerRing ? parseKmlCoordinates(outerRing) : null,
+    coordinate: pointCoordinates ? parseKmlCoordinates(pointCoordinates)[0] : null,
+    radius: parseRadius(radiusValue),
+  });
+});
+
+const parseGeoJson = (text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error('The file isn\'t valid GeoJSON');
+  }
+
+  const features = json?.type === 'FeatureCollection' ? json.features
+    : json?.type === 'Feature' ? [json]
+      : [{ type: 'Feature', geometry: json, properties: {} }];
+
+  return (Array.isArray(features) ? features : []).map(feature => {
+    const geometry = feature?.geometry;
+    const properties = feature?.properties || {};
+    const toCoordinate = (position) => ({ latitude: Number(position?.[1]), longitude: Number(position?.[0]) });
+
+    return toPlace({
+      name: properties.name || properties.title || properties.Name || null,
+      address: properties.address || properties.description || null,
+      coordinate: geometry?.type === 'Point' ? toCoordinate(geometry.coordinates) : null,
+      polygon: geometry?.type === 'Polygon' && Array.isArray(geometry.coordinates?.[0])
+        ? geometry.coordinates[0].map(toCoordinate)
+        : null,
+      radius: parseRadius(properties.radius),
+    });
+  });
+};
+
+// Format of a file from its name, else from its content
+export const detectFormat = (text, fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'gpx') return 'gpx';
+  if (extension === 'kml') return 'kml';
+  if (extension === 'geojson' || extension === 'json') return 'geojson';
+  if (extension === 'kmz') {
+    throw new Error('KMZ files aren\'t supported. Export as KML instead.');
+  }
+
+  const start = text.trimStart();
+  if (start.startsWith('{')) return 'geojson';
+  if (/<gpx\b/.test(start)) return 'gpx';
+  if (/<kml\b/.test(start)) return 'kml';
+
+  throw new Error('Choose a GPX, KML or GeoJSON file');
+};
+
+/**
+ * Read the places in a GPX, KML or GeoJSON file. A place listed more than once
+ * is only read the first time.
+ * @returns {{ format: string, places: Object[], skipped: number, repeated: number }}
+ *   places have name, address, latitude, longitude, radius, shape and polygon;
+ *   skipped counts entries that weren't points or polygons or had bad
+ *   coordinates, repeated the places left out as duplicates of earlier ones
+ */
+export const parseLocationFile = (text, fileName) => {
+  const format = detectFormat(text, fileName);
+  const parsed = format === 'gpx' ? parseGpx(text)
+    : format === 'kml' ? parseKml(text)
+      : parseGeoJson(text);
+
+  const valid = parsed.filter(Boolean).map((place, index) => ({
+    ...place,
+    name: place.name?.trim() || `Imported location ${index + 1}`,
+    address: place.address?.trim() || '',
+  }));
+
+  const places = [];
+  valid.forEach(place => {
+    if (!findDuplicate(place, places)) places.push(place);
+  });
+
+  return { format, places, skipped: parsed.length - valid.length, repeated: valid.length - places.length };
+};
+
+const gpxWaypoint = (location) => {
+  const description = location.addressPending ? null : location.address;
+  return [
+    `  <wpt lat="${location.latitude}" lon="${location.longitude}">`,
+    `    <name>${escapeXml(location.name)}</name>`,
+    ...(description ? [`    <desc>${escapeXml(description)}</desc>`] : []),
+    '    <extensions>',
+    '      <gpxx:WaypointExtension>',
+    `        <gpxx:Proximity>${location.radius}</gpxx:Proximity>`,
+    '      </gpxx:WaypointExtension>',
+    '    </extensions>',
+    '  </wpt>',
+  ].join('\n');
+};
+
+const kmlPlacemark = (location) => {
+  const description = location.addressPending ? null : location.address;
+  const geometry = location.shape === 'polygon'
+    ? [
+      '      <Polygon><outerBoundaryIs><LinearRing><coordinates>',
+      // KML rings repeat the first point at the end
+      [...location.polygon, location.polygon[0]]
+        .map(point => `        ${point.longitude},${point.latitude}`)
+        .join('\n'),
+      '      </coordinates></LinearRing></outerBoundaryIs></Polygon>',
+    ]
+    : [`      <Point><coordinates>${location.longitude},${location.latitude}</coordinates></Point>`];
+
+  return [
+    '    <Placemark>',
+    `      <name>${escapeXml(location.name)}</name>`,
+    ...(description ? [`      <address>${escapeXml(description)}</address>`] : []),
+    `      <ExtendedData><Data name="radius"><value>${location.radius}</value></Data></ExtendedData>`,
+    ...geometry,
+    '    </Placemark>',
+  ].join('\n');
+};
+
+const geoJsonFeature = (location) => ({
+  type: 'Feature',
+  properties: {
+    name: location.name,
+    ...(location.address && !location.addressPending ? { address: location.address } : {}),
+    radius: location.radius,
+  },
+  geometry: location.shape === 'polygon'
+    ? {
+      type: 'Polygon',
+      coordinates: [[...location.polygon, location.polygon[0]].map(point => [point.longitude, point.latitude])],
+    }
+    : { type: 'Point', coordinates: [location.longitude, location.latitude] },
+});
+
+// Saved locations as the text of a file in one of FILE_FORMATS. GPX only has
+// waypoints, so polygons are written as their centre and enclosing radius.
+export const exportLocations = (locations, format) => {
+  if (format === 'gpx') {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<gpx version="1.1" creator="GeoWake" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxx="${GARMIN_NAMESPACE}">`,
+      ...locations.map(gpxWaypoint),
+      '</gpx>',
+      '',
+    ].join('\n');
+  }
+
+  if (format === 'kml') {
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      '  <Document>',
+      '    <name>GeoWake locations</name>',
+      ...locations.map(kmlPlacemark),
+      '  </Document>',
+      '</kml>',
+      '',
+    ].join('\n');
+  }
+
+  if (format === 'geojson') {
+    return `${JSON.stringify({ type: 'FeatureCollection', features: locations.map(geoJsonFeature) }, null, 2)}\n`;
+  }
+
+  throw new Error(`Unknown format: ${format}`);
+};
+
+const toIsoTime = (timestamp) => new Date(timestamp).toISOString();
+
+const gpxTripWaypoint = ({ latitude, longitude }, name, description, timestamp, extensions = []) => [
+  `  <wpt lat="${latitude}" lon="${longitude}">`,
+  ...(timestamp ? [`    <time>${toIsoTime(timestamp)}</time>`] : []),
+  `    <name>${escapeXml(name)}</name>`,
+  `    <desc>${escapeXml(description)}</desc>`,
+  ...extensions,
+  '  </wpt>',
+].join('\n');
+
+// Accuracy has no GPX element, so it goes in the comment where any viewer shows it
+const gpxTrackPoint = (fix) => [
+  `      <trkpt lat="${fix.latitude}" lon="${fix.longitude}">`,
+  `        <time>${toIsoTime(fix.timestamp)}</time>`,
+  ...(fix.accuracy != null ? [`        <cmt>±${fix.accuracy} m</cmt>`] : []),
+  ...(fix.speed != null ? [
+    '        <extensions>',
+    `          <gpxtpx:TrackPointExtension><gpxtpx:speed>${fix.speed}</gpxtpx:speed></gpxtpx:TrackPointExtension>`,
+    '        </extensions>',
+  ] : []),
+  '      </trkpt>',
+].join('\n');
+
+/**
+ * A trip's recorded track as GPX, with the alarm's geofence, where the trip
+ * started and where the alarm went off as waypoints. Polygon geofences are
+ * also drawn as a route around the area.
+ * @param {import('../services/DataRepository').TripRecord} trip
+ * @param {Object[]} fixes { latitude, longitude, accuracy, speed, timestamp }
+ */
+export const exportTripGpx = (trip, fixes) => {
+  const { destination } = trip;
+  const waypoints = [
+    gpxTripWaypoint(destination, `${destination.name} (alarm area)`, `${destination.radius} m radius`, null, [
+      '    <extensions>',
+      '      <gpxx:WaypointExtension>',
+      `        <gpxx:Proximity>${destination.radius}</gpxx:Proximity>`,
+      '      </gpxx:WaypointExtension>',
+      '    </extensions>',
+    ]),
+  ];
+
+  if (trip.startPosition) {
+    waypoints.push(gpxTripWaypoint(trip.startPosition, 'Alarm set', 'Where the alarm was armed', trip.startedAt));
+  }
+  if (trip.triggerPosition) {
+    const trigger = TRIGGER_NAMES[trip.triggeredBy] || trip.triggeredBy;
+    waypoints.push(gpxTripWaypoint(trip.triggerPosition, 'Alarm went off', `Triggered by ${trigger}`, trip.triggeredAt));
+  }
+
+  const area = destination.shape === 'polygon' && destination.polygon ? [
+    '  <rte>',
+    `    <name>${escapeXml(destination.name)} area</name>`,
+    ...[...destination.polygon, destination.polygon[0]]
+      .map(point => `    <rtept lat="${point.latitude}" lon="${point.longitude}"/>`),
+    '  </rte>',
+  ] : [];
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="GeoWake" xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxx="${GARMIN_NAMESPACE}" xmlns:gpxtpx="${GARMIN_TRACK_NAMESPACE}">`,
+    '  <metadata>',
+    `    <name>Trip to ${escapeXml(destination.name)}</name>`,
+    `    <time>${toIsoTime(trip.startedAt)}</time>`,
+    '  </metadata>',
+    ...waypoints,
+    ...area,
+    '  <trk>',
+    `    <name>Trip to ${escapeXml(destination.name)}</name>`,
+    '    <trkseg>',
+    ...fixes.map(gpxTrackPoint),
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].join('\n');
+};
+
+const normalizeName = (name) => (name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// The saved location an imported place probably duplicates, if any
+export const findDuplicate = (place, locations) => {
+  const center = place.shape === 'polygon' ? polygonCentroid(place.polygon) : place;
+  let closest = null;
+
+  locations.forEach(location => {
+    const distance = calculateDistance(
+      center.latitude,
+      center.longitude,
+      location.latitude,
+      location.longitude
+    ) * 1000;
+
+    const sameName = normalizeName(location.name) === normalizeName(place.name);
+    const isDuplicate = distance <= DUPLICATE_DISTANCE || (sameName && distance <= DUPLICATE_NAME_DISTANCE);
+
+    if (isDuplicate && (!closest || distance < closest.distance)) {
+      closest = { location, distance };
+    }
+  });
+
+  return closest ? closest.location : null;
+};
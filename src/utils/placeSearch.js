@@ -0,0 +1,44 @@
+import { calculateDistance } from './geo';
+
+// Most saved locations shown while typing
+export const MAX_SAVED_MATCHES = 5;
+
+// Turn a reverse geocoding result into a one-line address
+export const formatAddress = (address) => {
+  if (!address) return '';
+
+  return [
+    address.street,
+    address.city,
+    address.region,
+    address.country
+  ].filter(Boolean).join(', ');
+};
+
+// Saved locations whose name or address contains every word of the query.
+// Name matches come first, then address-only matches, closest first when a
+// reference point is given.
+export const matchSavedLocations = (locations, query, near = null) => {
+  const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+
+  const rank = (location) => {
+    const name = (location.name || '').toLowerCase();
+    const text = `${name} ${(location.address || '').toLowerCase()}`;
+
+    if (!words.every(word => text.includes(word))) return null;
+    if (name.startsWith(words.join(' '))) return 0;
+    return words.every(word => name.includes(word)) ? 1 : 2;
+  };
+
+  const distanceTo = (location) => (near
+    ? calculateDistance(near.latitude, near.longitude, location.latitude, location.longitude)
+    : 0);
+
+  return locations
+    .map(location => ({ location, rank: rank(location), distance: distanceTo(location) }))
+    .filter(match => match.rank !== null)
+    .sort((a, b) => a.rank - b.rank || a.distance - b.distance)
+    .slice(0, MAX_SAVED_MATCHES)
+    .map(match => match.location);
+};
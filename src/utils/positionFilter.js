@@ -0,0 +1,62 @@
+// Accuracy (meters) assumed for fixes that don't report one
+const DEFAULT_ACCURACY = 30;
+
+// Slowest movement (m/s) the filter expects between fixes. The reported speed
+// is used when it's higher, so the smoothed track keeps up with a train.
+const MIN_PROCESS_SPEED = 3;
+
+// Fixes less precise than this (meters) never count towards triggering an
+// alarm, unless the geofence itself is bigger
+const MAX_TRIGGER_ACCURACY = 100;
+
+// Whether a fix is precise enough to decide that we're inside a geofence
+export const isAccurateEnough = (accuracy, fence) => {
+  if (accuracy == null) return true;
+  return accuracy <= Math.max(MAX_TRIGGER_ACCURACY, fence.radius || 0);
+};
+
+// Simple Kalman filter over latitude/longitude. Each fix is weighted by its
+// reported accuracy, so a single imprecise jump only nudges the track.
+export class PositionFilter {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.latitude = null;
+    this.longitude = null;
+    this.variance = null; // m²
+    this.timestamp = null;
+  }
+
+  // Feed a fix ({ latitude, longitude, accuracy, speed, timestamp }) and get
+  // the smoothed position with its estimated accuracy in meters
+  process({ latitude, longitude, accuracy, speed, timestamp }) {
+    const fixAccuracy = accuracy > 0 ? accuracy : DEFAULT_ACCURACY;
+    const measurementVariance = fixAccuracy * fixAccuracy;
+
+    if (this.variance === null) {
+      this.latitude = latitude;
+      this.longitude = longitude;
+      this.variance = measurementVariance;
+      this.timestamp = timestamp;
+    } else {
+      // The longer since the last fix, the less we trust where we were
+      const elapsedSeconds = Math.max(0, (timestamp - this.timestamp) / 1000);
+      const processSpeed = Math.max(MIN_PROCESS_SPEED, speed > 0 ? speed : 0);
+      const predictedVariance = this.variance + (processSpeed * elapsedSeconds) ** 2;
+
+      const gain = predictedVariance / (predictedVariance + measurementVariance);
+      this.latitude += gain * (latitude - this.latitude);
+      this.longitude += gain * (longitude - this.longitude);
+      this.variance = (1 - gain) * predictedVariance;
+      this.timestamp = Math.max(this.timestamp, timestamp);
+    }
+
+    return {
+      latitude: this.latitude,
+      longitude: this.longitude,
+      accuracy: Math.sqrt(this.variance),
+    };
+  }
+}
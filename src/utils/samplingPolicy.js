@@ -0,0 +1,94 @@
+import * as Location from 'expo-location';
+import { measureGeofence, distanceToBoundary } from './geo';
+import { getExitMargin, getDwellDueAt } from './geofenceState';
+
+// Speed assumed when we have no estimate yet (m/s, roughly a fast train) so we
+// don't sample too sparsely before we know how fast we're going
+const ASSUMED_SPEED = 30;
+
+// Slowest speed used for time estimates (m/s, walking pace) so standing still
+// doesn't push the policy to its sparsest tier right next to the destination
+const MIN_SPEED = 1.5;
+
+// Sampling tiers, from closest to the next alarm event to farthest. The first
+// tier whose maxSecondsToEvent covers the time until the next event is used.
+export const SAMPLING_TIERS = [
+  {
+    id: 'close',
+    maxSecondsToEvent: 2 * 60,
+    accuracy: Location.Accuracy.High,
+    distanceInterval: 10,
+    timeInterval: 2000,
+  },
+  {
+    id: 'approaching',
+    maxSecondsToEvent: 10 * 60,
+    accuracy: Location.Accuracy.Balanced,
+    distanceInterval: 25,
+    timeInterval: 5000,
+  },
+  {
+    id: 'en-route',
+    maxSecondsToEvent: 30 * 60,
+    accuracy: Location.Accuracy.Low,
+    distanceInterval: 100,
+    timeInterval: 15000,
+  },
+  {
+    id: 'far',
+    maxSecondsToEvent: Infinity,
+    accuracy: Location.Accuracy.Lowest,
+    distanceInterval: 500,
+    timeInterval: 60000,
+  },
+];
+
+export const DEFAULT_SAMPLING_TIER = SAMPLING_TIERS[1];
+
+// Seconds until the next thing that can happen to an alarm: a pre-alert stage,
+// the ETA trigger, reaching or leaving the geofence, or a dwell time running out
+export const getSecondsToNextEvent = (alarm, location, speed, now = Date.now()) => {
+  const effectiveSpeed = speed == null ? ASSUMED_SPEED : Math.max(speed, MIN_SPEED);
+
+  if (alarm.insideGeofence && (alarm.trigger === 'exit' || alarm.trigger === 'dwell')) {
+    const secondsToLeave = (distanceToBoundary(location, alarm) * 1000 + getExitMargin(alarm)) / effectiveSpeed;
+    if (alarm.trigger === 'exit') return secondsToLeave;
+
+    // Leaving before the dwell is up resets it, and low accuracy fixes can't
+    // show that we left
+    return Math.min(secondsToLeave, Math.max(0, (getDwellDueAt(alarm) - now) / 1000));
+  }
+
+  const { distance, edgeDistance } = measureGeofence(location, alarm);
+  const isArrival = !alarm.trigger || alarm.trigger === 'enter';
+
+  // Distance (m) until the next pre-alert stage or the geofence edge
+  let remaining = edgeDistance * 1000;
+  if (isArrival) {
+    (alarm.preAlerts || [])
+      .filter(stage => !stage.fired)
+      .forEach(stage => {
+        remaining = Math.min(remaining, distance * 1000 - stage.distance);
+      });
+  }
+
+  let seconds = Math.max(0, remaining) / effectiveSpeed;
+
+  if (isArrival && alarm.etaMinutes) {
+    seconds = Math.max(0, seconds - alarm.etaMinutes * 60);
+  }
+
+  return seconds;
+};
+
+// Pick the sampling tier for the alarms that still need monitoring
+export const selectSamplingTier = (alarms, location, speed) => {
+  const liveAlarms = alarms.filter(alarm => !alarm.triggered && !alarm.paused);
+
+  if (!location || liveAlarms.length === 0) {
+    return DEFAULT_SAMPLING_TIER;
+  }
+
+  const seconds = Math.min(...liveAlarms.map(alarm => getSecondsToNextEvent(alarm, location, speed)));
+  return SAMPLING_TIERS.find(tier => seconds <= tier.maxSecondsToEvent);
+};
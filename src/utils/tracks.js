@@ -0,0 +1,70 @@
+// Recorded journey tracks, kept compact enough to store a long trip on the
+// device. Each point is [seconds, latitude, longitude, accuracy, speed] where
+// time and position are deltas from the previous point, positions in units of
+// COORDINATE_SCALE (about a meter), accuracy in whole meters and speed in
+// tenths of m/s. Missing accuracy and speed are null.
+
+const COORDINATE_SCALE = 1e5;
+
+// Longest track kept for one trip; later fixes are dropped
+export const MAX_TRACK_POINTS = 10000;
+
+/**
+ * A stored track.
+ * @typedef {Object} Track
+ * @property {number} startedAt Timestamp in ms the point times count from
+ * @property {number[]} last Absolute [seconds, latitude, longitude] of the last point
+ * @property {Array<Array<number|null>>} points
+ */
+
+export const createTrack = (startedAt) => ({ startedAt, last: [0, 0, 0], points: [] });
+
+const roundOrNull = (value, scale = 1) => {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? Math.round(value * scale) : null;
+};
+
+// Append fixes ({ latitude, longitude, accuracy, speed, timestamp }) to a
+// track. Returns a new track.
+export const appendTrackPoints = (track, fixes) => {
+  let [seconds, latitude, longitude] = track.last;
+  const room = MAX_TRACK_POINTS - track.points.length;
+
+  const points = fixes.slice(0, Math.max(0, room)).map(fix => {
+    const point = [
+      Math.round((fix.timestamp - track.startedAt) / 1000),
+      Math.round(fix.latitude * COORDINATE_SCALE),
+      Math.round(fix.longitude * COORDINATE_SCALE),
+    ];
+    const delta = [point[0] - seconds, point[1] - latitude, point[2] - longitude];
+    [seconds, latitude, longitude] = point;
+
+    return [...delta, roundOrNull(fix.accuracy), roundOrNull(fix.speed, 10)];
+  });
+
+  return {
+    ...track,
+    last: [seconds, latitude, longitude],
+    points: [...track.points, ...points],
+  };
+};
+
+// The fixes in a track, with timestamps in ms and speed in m/s
+export const decodeTrack = (track) => {
+  let seconds = 0;
+  let latitude = 0;
+  let longitude = 0;
+
+  return track.points.map(([deltaSeconds, deltaLatitude, deltaLongitude, accuracy, speed]) => {
+    seconds += deltaSeconds;
+    latitude += deltaLatitude;
+    longitude += deltaLongitude;
+
+    return {
+      latitude: latitude / COORDINATE_SCALE,
+      longitude: longitude / COORDINATE_SCALE,
+      accuracy,
+      speed: speed == null ? null : speed / 10,
+      timestamp: track.startedAt + seconds * 1000,
+    };
+  });
+};
@@ -0,0 +1,124 @@
+import { calculateDistance } from './geo';
+import { MAX_TRACK_POINTS } from './tracks';
+
+// Moves shorter than this (meters), or than the accuracy of the fix, are
+// treated as GPS noise so standing still doesn't add up to a distance
+const MIN_STEP = 10;
+
+// What the history keeps of an alarm, enough to arm it again
+const DESTINATION_FIELDS = [
+  'id', 'name', 'address', 'latitude', 'longitude', 'radius', 'shape', 'polygon',
+  'trigger', 'dwellMinutes', 'etaMinutes', 'preAlerts', 'alertProfileId',
+];
+
+// A trip runs from arming an alarm until it's cancelled or dismissed.
+// position is null until the first fix comes in.
+export const startTrip = (position, startedAt = Date.now()) => ({
+  startedAt,
+  startPosition: position,
+  lastPosition: position,
+  distanceTravelled: 0, // meters
+  peakSpeed: 0, // m/s
+  triggeredAt: null,
+  triggerPosition: null,
+  triggeredBy: null,
+  trackPoints: 0,
+  trackedUntil: null, // timestamp of the last fix added to the track
+});
+
+// Trips are identified by their alarm and when it was armed, so re-arming
+// starts a new one
+export const getTripId = (alarm) => `${alarm.id}-${alarm.trip.startedAt}`;
+
+// Keep the fixes that are newer than the ones already in the trip's track.
+// Returns them, up to the track's size limit.
+export const takeNewTrackFixes = (alarm, fixes) => {
+  const trip = alarm.trip;
+  const recorded = trip.trackPoints || 0;
+  const room = MAX_TRACK_POINTS - recorded;
+  const newFixes = fixes.filter(fix => fix.timestamp > (trip.trackedUntil || 0)).slice(0, Math.max(0, room));
+  if (newFixes.length === 0) return [];
+
+  trip.trackPoints = recorded + newFixes.length;
+  trip.trackedUntil = newFixes[newFixes.length - 1].timestamp;
+  return newFixes;
+};
+
+// Add a fix to an alarm's trip. speed is the estimated current speed in m/s.
+export const recordTripFix = (alarm, position, { accuracy = null, speed = null } = {}) => {
+  if (!alarm.trip) {
+    alarm.trip = startTrip(position, alarm.armedAt);
+  }
+  const trip = alarm.trip;
+
+  if (!trip.startPosition) {
+    trip.startPosition = position;
+    trip.lastPosition = position;
+  }
+
+  const step = calculateDistance(
+    trip.lastPosition.latitude,
+    trip.lastPosition.longitude,
+    position.latitude,
+    position.longitude
+  ) * 1000;
+
+  if (step >= Math.max(MIN_STEP, accuracy || 0)) {
+    trip.distanceTravelled += step;
+    trip.lastPosition = position;
+  }
+
+  if (typeof speed === 'number' && Number.isFinite(speed)) {
+    trip.peakSpeed = Math.max(trip.peakSpeed, speed);
+  }
+};
+
+// Note when and where the alarm first went off on this trip
+export const recordTripTrigger = (alarm, position, triggeredBy, timestamp = Date.now()) => {
+  if (!alarm.trip) {
+    alarm.trip = startTrip(position, alarm.armedAt);
+  }
+  if (alarm.trip.triggeredAt) return;
+
+  alarm.trip.triggeredAt = timestamp;
+  alarm.trip.triggerPosition = position;
+  alarm.trip.triggeredBy = triggeredBy;
+};
+
+/**
+ * The history record for an alarm whose trip is over. The outcome is
+ * 'dismissed' if the alarm went off and 'cancelled' if it never did.
+ * @returns {import('../services/DataRepository').TripRecord}
+ */
+export const finishTrip = (alarm, endedAt = Date.now()) => {
+  if (!alarm.trip) {
+    alarm.trip = startTrip(null, alarm.armedAt || endedAt);
+  }
+  const { lastPosition, trackedUntil, ...trip } = alarm.trip;
+
+  const destination = {};
+  DESTINATION_FIELDS.forEach(field => {
+    if (alarm[field] !== undefined) destination[field] = alarm[field];
+  });
+  if (destination.preAlerts) {
+    destination.preAlerts = destination.preAlerts.map(({ fired, ...stage }) => stage);
+  }
+
+  return {
+    ...trip,
+    id: getTripId(alarm),
+    destination,
+    endedAt,
+    outcome: trip.triggeredAt ? 'dismissed' : 'cancelled',
+  };
+};
+
+// The destination to arm again for a past trip. Saved locations are armed as
+// they are now, in case they were edited since; temporary alarms and deleted
+// locations get a fresh temporary id so they don't clash with the old alarm.
+export const getRearmDestination = (trip, savedLocations, now = Date.now()) => {
+  const saved = savedLocations.find(location => location.id === trip.destination.id);
+  if (saved) return saved;
+
+  return { ...trip.destination, id: 'temp-' + now.toString() };
+};